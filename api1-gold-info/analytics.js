@@ -0,0 +1,126 @@
+// api1-gold-info/analytics.js
+// Conversion funnel analytics over analytics_events. This API records
+// chat_started, gold_intent and session_issued; the purchase API records
+// purchase_initiated, quote_created and purchase_completed/failed.
+// Events are attributed to the user, or to the anonymous visitor until the
+// visitor is linked to a user.
+
+// Funnel steps in order
+const FUNNEL_STEPS = [
+  'chat_started',
+  'gold_intent',
+  'session_issued',
+  'purchase_initiated',
+  'quote_created',
+  'purchase_completed'
+];
+
+// Record an event through db (the pool, or a client inside a transaction)
+async function recordEvent(db, eventType, { userId = null, visitorId = null, sessionToken = null, metadata = {} } = {}) {
+  await db.query(
+    `INSERT INTO analytics_events (event_type, user_id, visitor_id, session_token, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [eventType, userId, visitorId, sessionToken, metadata]
+  );
+}
+
+function percent(part, whole) {
+  return whole > 0 ? (part / whole * 100).toFixed(2) + '%' : '0%';
+}
+
+function seconds(value) {
+  return value === null ? null : Math.round(parseFloat(value));
+}
+
+// Step counts, drop-off and time to convert for one group of actors
+function formatFunnel(row) {
+  const reached = FUNNEL_STEPS.map((step, i) => parseInt(row[`reached_${i}`]));
+  
+  return {
+    actors: parseInt(row.actors),
+    steps: FUNNEL_STEPS.map((step, i) => ({
+      step: step,
+      actors: reached[i],
+      drop_off: i === 0 ? 0 : reached[i - 1] - reached[i],
+      drop_off_rate: percent(i === 0 ? 0 : reached[i - 1] - reached[i], reached[i === 0 ? 0 : i - 1])
+    })),
+    purchase_failed: parseInt(row.failed),
+    conversion_rate: percent(reached[reached.length - 1], reached[0]),
+    time_to_convert: {
+      converted: reached[reached.length - 1],
+      average_seconds: seconds(row.avg_seconds),
+      median_seconds: seconds(row.median_seconds)
+    }
+  };
+}
+
+// Funnel for everyone first seen in the last `days` days. An actor reaches a
+// step once they have an event for it and every step before it. Time to convert
+// runs from the first funnel event to the first completed purchase. Cohorts
+// group actors by the day they were first seen.
+async function getFunnel(pool, { days = 30 } = {}) {
+  const stepColumns = FUNNEL_STEPS.map((step, i) =>
+    `MIN(created_at) FILTER (WHERE event_type = '${step}') AS step_${i}`
+  ).join(',\n           ');
+  const reachedColumns = FUNNEL_STEPS.map((step, i) =>
+    FUNNEL_STEPS.slice(0, i + 1).map((_, j) => `step_${j} IS NOT NULL`).join(' AND ') + ` AS reached_${i}`
+  ).join(',\n           ');
+  const reachedCounts = FUNNEL_STEPS.map((step, i) =>
+    `COUNT(*) FILTER (WHERE reached_${i}) AS reached_${i}`
+  ).join(',\n         ');
+  const converted = `reached_${FUNNEL_STEPS.length - 1}`;
+  
+  const result = await pool.query(
+    `WITH actor_events AS (
+       SELECT COALESCE('user:' || COALESCE(e.user_id, v.user_id), 'visitor:' || e.visitor_id) AS actor,
+              e.event_type, e.created_at
+       FROM analytics_events e
+       LEFT JOIN visitors v ON v.visitor_id = e.visitor_id
+       WHERE e.event_type = ANY($1) AND (e.user_id IS NOT NULL OR e.visitor_id IS NOT NULL)
+     ),
+     actors AS (
+       SELECT actor,
+           MIN(created_at) AS first_seen,
+           ${stepColumns},
+           MIN(created_at) FILTER (WHERE event_type = 'purchase_failed') AS failed_at
+       FROM actor_events
+       GROUP BY actor
+     ),
+     funnel AS (
+       SELECT to_char(first_seen, 'YYYY-MM-DD') AS cohort,
+           ${reachedColumns},
+           failed_at IS NOT NULL AS failed,
+           EXTRACT(EPOCH FROM step_${FUNNEL_STEPS.length - 1} - first_seen) AS seconds_to_convert
+       FROM actors
+       WHERE first_seen >= CURRENT_DATE - make_interval(days => $2 - 1)
+     )
+     SELECT cohort,
+         COUNT(*) AS actors,
+         ${reachedCounts},
+         COUNT(*) FILTER (WHERE failed) AS failed,
+         AVG(seconds_to_convert) FILTER (WHERE ${converted}) AS avg_seconds,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds_to_convert) FILTER (WHERE ${converted}) AS median_seconds
+     FROM funnel
+     GROUP BY GROUPING SETS ((cohort), ())
+     ORDER BY cohort NULLS FIRST`,
+    [[...FUNNEL_STEPS, 'purchase_failed'], days]
+  );
+  
+  // The grand total (cohort NULL) comes first
+  const [total, ...cohorts] = result.rows;
+  
+  return {
+    period_days: days,
+    ...formatFunnel(total),
+    cohorts: cohorts.map(row => ({
+      first_seen_date: row.cohort,
+      ...formatFunnel(row)
+    }))
+  };
+}
+
+module.exports = {
+  FUNNEL_STEPS,
+  recordEvent,
+  getFunnel
+};
@@ -0,0 +1,293 @@
+// api1-gold-info/conversations.js
+// Conversation threads: routes to create, list, read and delete threads and to
+// chat inside one, the per-thread chat context, and summaries of long threads
+const express = require('express');
+const crypto = require('crypto');
+
+const SUMMARY_PROMPT = `Summarise this conversation between a user and a gold investment assistant in at most 5 sentences.
+Keep facts that matter later: amounts, prices, quotes, purchases, preferences and open questions.
+Answer with the summary text only.`;
+
+// Public view of a thread row
+function formatThread(thread) {
+  return {
+    conversation_id: thread.conversation_id,
+    title: thread.title,
+    message_count: thread.message_count,
+    summary: thread.summary,
+    last_message_at: thread.last_message_at,
+    created_at: thread.created_at
+  };
+}
+
+// Public view of a conversations row with its model, token and latency metadata
+function formatMessage(row) {
+  return {
+    message_id: row.id,
+    user_message: row.user_message,
+    ai_response: row.ai_response,
+    is_gold_related: row.is_gold_related,
+    confidence: row.confidence_score === null ? null : parseFloat(row.confidence_score),
+    session_token: row.session_token,
+    metadata: {
+      provider: row.llm_provider,
+      model: row.openai_model,
+      tokens_used: row.tokens_used,
+      response_time_ms: row.response_time_ms
+    },
+    created_at: row.created_at
+  };
+}
+
+// Chat context for a thread: its summary, then the messages after it
+async function getThreadHistory(pool, thread, limit = parseInt(process.env.CONVERSATION_SUMMARY_AFTER) || 12) {
+  const result = await pool.query(
+    `SELECT user_message, ai_response FROM conversations
+     WHERE thread_id = $1 AND id > $2
+     ORDER BY id DESC
+     LIMIT $3`,
+    [thread.id, thread.summarised_until, limit]
+  );
+  
+  const history = thread.summary
+    ? [{ role: "system", content: `Summary of the earlier conversation: ${thread.summary}` }]
+    : [];
+  result.rows.reverse().forEach(row => {
+    history.push({ role: "user", content: row.user_message });
+    history.push({ role: "assistant", content: row.ai_response });
+  });
+  
+  return history;
+}
+
+// Once a thread has more than CONVERSATION_SUMMARY_AFTER unsummarised messages,
+// fold all but the last CONVERSATION_RECENT_MESSAGES into its summary. Returns
+// true when the summary was updated.
+async function summariseThread(pool, llm, thread) {
+  const threshold = parseInt(process.env.CONVERSATION_SUMMARY_AFTER) || 12;
+  const keepRecent = Math.min(parseInt(process.env.CONVERSATION_RECENT_MESSAGES) || 6, threshold);
+  
+  const result = await pool.query(
+    'SELECT id, user_message, ai_response FROM conversations WHERE thread_id = $1 AND id > $2 ORDER BY id',
+    [thread.id, thread.summarised_until]
+  );
+  if (result.rows.length <= threshold) return false;
+  
+  const older = result.rows.slice(0, result.rows.length - keepRecent);
+  const oneLine = (text) => String(text).replace(/\s+/g, ' ').trim();
+  const transcript = (thread.summary ? `Earlier summary: ${oneLine(thread.summary)}\n` : '') +
+    older.map(row => `User: ${oneLine(row.user_message)}\nAssistant: ${oneLine(row.ai_response)}`).join('\n');
+  
+  const completion = await llm.complete({
+    task: 'summary',
+    messages: [
+      { role: "system", content: SUMMARY_PROMPT },
+      { role: "user", content: transcript }
+    ],
+    temperature: 0.2,
+    max_tokens: 250
+  });
+  const summary = completion.content.trim();
+  if (!summary) return false;
+  
+  // Skip the update if another request summarised the thread meanwhile
+  const update = await pool.query(
+    `UPDATE conversation_threads SET summary = $1, summarised_until = $2
+     WHERE id = $3 AND summarised_until = $4`,
+    [summary, older[older.length - 1].id, thread.id, thread.summarised_until]
+  );
+  return update.rowCount > 0;
+}
+
+// Routes (mounted behind authenticate). respond(req, res, thread) and
+// stream(req, res, thread) run a chat turn inside the thread, like POST /api/chat
+// and POST /api/chat/stream.
+function createConversationRouter(pool, { llm, respond, stream }) {
+  const router = express.Router();
+  const maxThreads = parseInt(process.env.CONVERSATIONS_MAX_PER_USER) || 100;
+  
+  const loadThread = async (conversationId, userId) => {
+    const result = await pool.query(
+      'SELECT * FROM conversation_threads WHERE conversation_id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+    return result.rows[0] || null;
+  };
+  
+  const threadNotFound = (res) => res.status(404).json({
+    error: 'Conversation not found'
+  });
+  
+  // Summaries run after the reply has been sent
+  const summariseInBackground = (thread) => {
+    summariseThread(pool, llm, thread).catch(error => {
+      console.error(`Conversation ${thread.conversation_id} summary error:`, error.message);
+    });
+  };
+  
+  // Start a thread
+  router.post('/', async (req, res) => {
+    try {
+      const title = req.body.title === undefined || req.body.title === null ? null : req.body.title;
+      
+      if (title !== null && (typeof title !== 'string' || title.length > 200)) {
+        return res.status(400).json({
+          error: 'Title must be a string of at most 200 characters'
+        });
+      }
+      
+      const countResult = await pool.query(
+        'SELECT COUNT(*) as total FROM conversation_threads WHERE user_id = $1',
+        [req.user.id]
+      );
+      if (parseInt(countResult.rows[0].total) >= maxThreads) {
+        return res.status(409).json({
+          error: `You can have at most ${maxThreads} conversations. Delete some to start a new one.`
+        });
+      }
+      
+      const result = await pool.query(
+        `INSERT INTO conversation_threads (conversation_id, user_id, title)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        ['CNV' + crypto.randomBytes(6).toString('hex').toUpperCase(), req.user.id, title ? title.trim() : null]
+      );
+      
+      res.status(201).json({
+        success: true,
+        conversation: formatThread(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('Conversation create error:', error);
+      res.status(500).json({
+        error: 'Failed to create conversation'
+      });
+    }
+  });
+  
+  // List the user's threads, most recently used first
+  router.get('/', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      
+      const result = await pool.query(
+        `SELECT * FROM conversation_threads
+         WHERE user_id = $1
+         ORDER BY COALESCE(last_message_at, created_at) DESC, id DESC
+         LIMIT $2 OFFSET $3`,
+        [req.user.id, limit, offset]
+      );
+      
+      res.json({
+        conversations: result.rows.map(formatThread),
+        count: result.rows.length
+      });
+      
+    } catch (error) {
+      console.error('Conversation list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve conversations'
+      });
+    }
+  });
+  
+  // Get a thread with its messages (newest last)
+  router.get('/:conversationId', async (req, res) => {
+    try {
+      const thread = await loadThread(req.params.conversationId, req.user.id);
+      if (!thread) return threadNotFound(res);
+      
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const messagesResult = await pool.query(
+        `SELECT * FROM (
+           SELECT * FROM conversations WHERE thread_id = $1 ORDER BY id DESC LIMIT $2
+         ) recent ORDER BY id`,
+        [thread.id, limit]
+      );
+      
+      res.json({
+        conversation: formatThread(thread),
+        messages: messagesResult.rows.map(formatMessage)
+      });
+      
+    } catch (error) {
+      console.error('Conversation get error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve conversation'
+      });
+    }
+  });
+  
+  // Chat inside a thread
+  router.post('/:conversationId/messages', async (req, res) => {
+    try {
+      const thread = await loadThread(req.params.conversationId, req.user.id);
+      if (!thread) return threadNotFound(res);
+      
+      await respond(req, res, thread);
+      if (res.statusCode === 200) summariseInBackground(thread);
+      
+    } catch (error) {
+      console.error('Conversation message error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'Internal server error',
+          message: 'Please try again later'
+        });
+      }
+    }
+  });
+  
+  // Streaming chat inside a thread (Server-Sent Events, like POST /api/chat/stream)
+  router.post('/:conversationId/messages/stream', async (req, res) => {
+    try {
+      const thread = await loadThread(req.params.conversationId, req.user.id);
+      if (!thread) return threadNotFound(res);
+      
+      await stream(req, res, thread);
+      if (res.statusCode === 200) summariseInBackground(thread);
+      
+    } catch (error) {
+      console.error('Conversation stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'Internal server error',
+          message: 'Please try again later'
+        });
+      }
+    }
+  });
+  
+  // Delete a thread and its messages
+  router.delete('/:conversationId', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM conversation_threads WHERE conversation_id = $1 AND user_id = $2 RETURNING conversation_id',
+        [req.params.conversationId, req.user.id]
+      );
+      
+      if (result.rows.length === 0) return threadNotFound(res);
+      
+      res.json({
+        success: true,
+        conversation_id: result.rows[0].conversation_id
+      });
+      
+    } catch (error) {
+      console.error('Conversation delete error:', error);
+      res.status(500).json({
+        error: 'Failed to delete conversation'
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = {
+  createConversationRouter,
+  getThreadHistory,
+  summariseThread
+};
@@ -0,0 +1,123 @@
+// api1-gold-info/eval/intent-eval.js
+// Offline evaluation of intent detection against a labelled dataset. Reports
+// precision and recall for is_gold_related and purchase_intent.
+//
+// Usage:
+//   node eval/intent-eval.js                     local classifier only (no network)
+//   node eval/intent-eval.js --llm               LLM providers from LLM_PROVIDERS, with
+//                                                schema repair and the classifier as second opinion
+//   node eval/intent-eval.js --dataset file.json --fail-under 0.9 --verbose
+const fs = require('fs');
+const path = require('path');
+const { ANALYSIS_FORMAT, classifyIntent, resolveAnalysis } = require('../intent');
+const { createLlmProviders, createLlmClient } = require('../llm-providers');
+
+const LABELS = ['is_gold_related', 'purchase_intent'];
+
+// Classification prompt: the chat system prompt's JSON contract without the tools
+const SYSTEM_PROMPT = `You are a gold investment expert and digital gold trading assistant.
+Decide whether the user's message is about gold or gold investment, and whether they want to buy gold now.
+Users may write in any language. Return a JSON object with this exact structure:
+${ANALYSIS_FORMAT}`;
+
+function parseArgs(argv) {
+  const options = { dataset: path.join(__dirname, 'intent-dataset.json'), llm: false, failUnder: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--llm') options.llm = true;
+    else if (argv[i] === '--verbose') options.verbose = true;
+    else if (argv[i] === '--dataset') options.dataset = argv[++i];
+    else if (argv[i] === '--fail-under') options.failUnder = parseFloat(argv[++i]);
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return options;
+}
+
+// Precision, recall and F1 for one boolean label
+function scoreLabel(results, label) {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  results.forEach(({ example, prediction }) => {
+    const expected = example[label];
+    const predicted = !!prediction[label];
+    if (predicted && expected) counts.tp++;
+    else if (predicted) counts.fp++;
+    else if (expected) counts.fn++;
+    else counts.tn++;
+  });
+
+  const precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : 0;
+  const recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : 0;
+  const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+  return { ...counts, precision: precision, recall: recall, f1: f1 };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dataset = JSON.parse(fs.readFileSync(options.dataset, 'utf8'));
+  const llm = options.llm ? createLlmClient(createLlmProviders(process.env)) : null;
+
+  console.log(`Evaluating ${dataset.length} examples with ${llm ? `LLM providers ${llm.providers.join(' → ')}` : 'the local classifier'}\n`);
+
+  const results = [];
+  for (const example of dataset) {
+    const history = example.history || [];
+    let prediction;
+
+    if (llm) {
+      const result = await llm.complete({
+        messages: [{ role: 'system', content: SYSTEM_PROMPT }, ...history, { role: 'user', content: example.text }],
+        temperature: 0,
+        max_tokens: 300
+      });
+      prediction = await resolveAnalysis(llm, result, example.text, history) || classifyIntent(example.text, history);
+    } else {
+      prediction = classifyIntent(example.text, history);
+    }
+
+    results.push({ example: example, prediction: prediction });
+  }
+
+  const scores = {};
+  console.log('label              precision  recall     f1   tp  fp  fn  tn');
+  LABELS.forEach(label => {
+    const score = scoreLabel(results, label);
+    scores[label] = score;
+    console.log(`${label.padEnd(18)} ${score.precision.toFixed(3).padStart(9)} ${score.recall.toFixed(3).padStart(7)} ${score.f1.toFixed(3).padStart(6)}` +
+      ` ${String(score.tp).padStart(4)}${String(score.fp).padStart(4)}${String(score.fn).padStart(4)}${String(score.tn).padStart(4)}`);
+  });
+
+  // Accuracy of is_gold_related per language
+  const languages = {};
+  results.forEach(({ example, prediction }) => {
+    const language = languages[example.lang || 'unknown'] || (languages[example.lang || 'unknown'] = { correct: 0, total: 0 });
+    language.total++;
+    if (!!prediction.is_gold_related === example.is_gold_related) language.correct++;
+  });
+  console.log('\nis_gold_related accuracy by language:');
+  Object.entries(languages).forEach(([language, counts]) => {
+    console.log(`  ${language.padEnd(8)} ${counts.correct}/${counts.total}`);
+  });
+
+  const errors = results.filter(({ example, prediction }) => LABELS.some(label => !!prediction[label] !== example[label]));
+  console.log(`\nMisclassified: ${errors.length}`);
+  errors.forEach(({ example, prediction }) => {
+    const expected = LABELS.map(label => `${label}=${example[label]}`).join(' ');
+    const predicted = LABELS.map(label => `${label}=${!!prediction[label]}`).join(' ');
+    console.log(`  "${example.text}"${example.history ? ' (with history)' : ''}\n    expected ${expected}\n    got      ${predicted}`);
+    if (options.verbose && prediction.signals) {
+      console.log(`    signals  ${JSON.stringify(prediction.signals)}`);
+    }
+  });
+
+  if (options.failUnder !== null) {
+    const failing = LABELS.filter(label => scores[label].f1 < options.failUnder);
+    if (failing.length > 0) {
+      console.error(`\nF1 below ${options.failUnder} for: ${failing.join(', ')}`);
+      process.exit(1);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Intent evaluation failed:', error.message);
+  process.exit(1);
+});
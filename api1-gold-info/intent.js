@@ -0,0 +1,365 @@
+// api1-gold-info/intent.js
+// Intent detection: validation and repair of the LLM's JSON analysis, and a
+// local multilingual classifier used as a second opinion and when the LLM fails.
+
+// JSON structure the LLM must answer with (shown in the system prompt)
+const ANALYSIS_FORMAT = `{
+  "is_gold_related": boolean,
+  "purchase_intent": boolean (true only if the user wants to buy gold now),
+  "confidence": number (0-1),
+  "response": "your main response text",
+  "intent_summary": "brief summary of what user is asking",
+  "purchase_recommendation": "suggestion about investing in digital gold (only if gold-related)"
+}`;
+
+// Field checks for the analysis, by field name
+const ANALYSIS_SCHEMA = {
+  is_gold_related: { type: 'boolean', required: true },
+  purchase_intent: { type: 'boolean', required: false },
+  confidence: { type: 'number', required: true, min: 0, max: 1 },
+  response: { type: 'string', required: true, nonEmpty: true },
+  intent_summary: { type: 'string', required: true },
+  purchase_recommendation: { type: 'string', required: false, nullable: true }
+};
+
+// Pull the first JSON object out of a reply, allowing for code fences or text around it
+function extractJson(text) {
+  if (typeof text !== 'string') return null;
+  
+  const start = text.indexOf('{');
+  if (start < 0) return null;
+  
+  // Find the matching closing brace, skipping braces inside strings
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Check a parsed analysis against ANALYSIS_SCHEMA. Returns { valid, errors, value }
+// where value has unknown fields dropped and optional ones defaulted.
+function validateAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return { valid: false, errors: ['reply is not a JSON object'], value: null };
+  }
+  
+  const errors = [];
+  const value = {};
+  Object.entries(ANALYSIS_SCHEMA).forEach(([field, rule]) => {
+    const fieldValue = analysis[field];
+    
+    if (fieldValue === undefined || (fieldValue === null && rule.nullable)) {
+      if (rule.required) errors.push(`${field} is required`);
+      else value[field] = null;
+      return;
+    }
+    if (typeof fieldValue !== rule.type || (rule.type === 'number' && isNaN(fieldValue))) {
+      errors.push(`${field} must be a ${rule.type}`);
+      return;
+    }
+    if (rule.min !== undefined && (fieldValue < rule.min || fieldValue > rule.max)) {
+      errors.push(`${field} must be between ${rule.min} and ${rule.max}`);
+      return;
+    }
+    if (rule.nonEmpty && !fieldValue.trim()) {
+      errors.push(`${field} must not be empty`);
+      return;
+    }
+    value[field] = fieldValue;
+  });
+  
+  return { valid: errors.length === 0, errors: errors, value: errors.length === 0 ? value : null };
+}
+
+// Messages asking the model to fix an invalid analysis
+function buildRepairMessages(reply, errors) {
+  return [
+    {
+      role: 'system',
+      content: `You fix replies from a gold investment assistant so they match this JSON structure exactly:\n${ANALYSIS_FORMAT}\n` +
+        'Keep the meaning and the response text. Answer with the JSON object only.'
+    },
+    {
+      role: 'user',
+      content: `Reply:\n${reply}\n\nProblems:\n${errors.map(error => `- ${error}`).join('\n')}`
+    }
+  ];
+}
+
+// Local classifier
+//
+// Keyword lists cover English plus the languages our users write in. Latin-script
+// terms match whole words; other scripts match anywhere, since they inflect by
+// suffix (e.g. सोना/सोने).
+const GOLD_TERMS = [
+  'gold', 'bullion', 'sovereign', 'karat', 'carat', '24k', '22k', '18k', 'hallmark', 'digital gold',
+  'sona', 'sone', 'sonay', 'oro', 'ouro', 'l\'or', 'lingot', 'goud',
+  'सोना', 'सोने', 'सोन्या', 'स्वर्ण', 'தங்க', 'బంగార', 'ಚಿನ್ನ', 'ಬಂಗಾರ', 'സ്വർണ', 'সোনা', 'সোনার', 'સોન', 'ਸੋਨ',
+  'ذهب', 'الذهب', '黄金', '金价', '金条', '金子'
+];
+
+// Topics that are about gold investing when gold is already the subject
+const INVESTMENT_TERMS = [
+  'price', 'rate', 'invest', 'investment', 'investing', 'returns', 'gram', 'grams', 'gm', 'tola', 'ounce',
+  'portfolio', 'holdings', 'sip', 'quote', 'sell', 'selling', 'redeem', 'jewellery', 'jewelry', 'coin', 'coins',
+  'bhav', 'daam', 'bhaav', 'bhav kya', 'precio', 'preço', 'prix', 'preis',
+  'भाव', 'दाम', 'कीमत', 'निवेश', 'ग्राम', 'விலை', 'ధర', 'ಬೆಲೆ', 'വില', 'দাম', 'ભાવ', 'سعر', '价格', '多少钱'
+];
+
+const PURCHASE_TERMS = [
+  'buy', 'buying', 'purchase', 'place an order', 'get me', 'invest in', 'add to my', 'i want some', 'i\'ll take',
+  'kharid', 'khareed', 'kharidna', 'lena hai', 'lena chahta', 'lena chahti', 'comprar', 'compro', 'acheter', 'kaufen',
+  'खरीद', 'लेना', 'வாங்க', 'కొన', 'ಖರೀದಿ', 'ಕೊಳ್ಳ', 'വാങ്ങ', 'কিন', 'ખરીદ', 'خرید', 'شراء', 'اشتري', '买', '购买'
+];
+
+// Other assets: on their own these are not gold questions
+const OTHER_ASSET_TERMS = [
+  'silver', 'platinum', 'bitcoin', 'crypto', 'ethereum', 'stock', 'stocks', 'shares', 'mutual fund', 'real estate',
+  'chandi', 'चांदी', 'plata', 'prata', 'argent', 'silber'
+];
+
+const NEGATION_PATTERN = /\b(don't|dont|do not|not|never|no longer|stop|cancel)\b.{0,20}\b(buy|purchase|invest|order)/i;
+const ADVICE_PATTERN = /\b(should i|is it (a )?good|worth it)\b/i;
+const QUANTITY_PATTERN = /(\d+(\.\d+)?)\s*(g|gm|gms|gram|grams|tola|ounce|oz)\b|(₹|rs\.?|inr|usd|\$)\s*[\d,]+/i;
+
+// Labelled example phrases for the n-gram similarity check
+const PROTOTYPES = {
+  gold: [
+    'what is the gold price today', 'is gold a good investment', 'how does digital gold work', 'gold rate per gram',
+    'should i invest in gold now', 'aaj sone ka bhav kya hai', 'sona kharidna hai', 'आज सोने का भाव क्या है',
+    'தங்கம் விலை என்ன', 'బంగారం ధర ఎంత', 'precio del oro hoy', 'cotação do ouro', '今天黄金价格', 'سعر الذهب اليوم',
+    'buy 2 grams', 'i want to buy some', 'get me a quote', 'show my holdings', 'how much have i earned on my investment'
+  ],
+  other: [
+    'what is the weather today', 'tell me a joke', 'who won the football match', 'recommend a movie',
+    'how do i cook pasta', 'what is the capital of france', 'write a poem', 'hello how are you',
+    'bitcoin price today', 'should i buy stocks', 'silver rate per kg', 'help me with my homework'
+  ]
+};
+
+// Normalise text for matching: lower case, Unicode NFKC, straight quotes
+function normalise(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(/[‘’]/g, '\'');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a term list into one matcher returning the terms found
+function termMatcher(terms) {
+  const latin = terms.filter(term => /^[\x20-\x7e]+$/.test(term));
+  const other = terms.filter(term => !latin.includes(term));
+  const latinPattern = new RegExp(`(?:^|[^a-z0-9'])(${latin.map(escapeRegExp).join('|')})(?=$|[^a-z0-9])`, 'g');
+  
+  return (text) => {
+    const found = [];
+    let match;
+    latinPattern.lastIndex = 0;
+    while ((match = latinPattern.exec(text)) !== null) {
+      found.push(match[1]);
+      latinPattern.lastIndex = match.index + match[0].length;
+    }
+    other.forEach(term => {
+      if (text.includes(term)) found.push(term);
+    });
+    return found;
+  };
+}
+
+const matchGold = termMatcher(GOLD_TERMS);
+const matchInvestment = termMatcher(INVESTMENT_TERMS);
+const matchPurchase = termMatcher(PURCHASE_TERMS);
+const matchOtherAsset = termMatcher(OTHER_ASSET_TERMS);
+
+// Character trigram embedding hashed into a fixed-size unit vector. Works for
+// any script and needs no model download.
+const EMBEDDING_SIZE = 512;
+
+function embed(text) {
+  const vector = new Float64Array(EMBEDDING_SIZE);
+  const padded = ` ${normalise(text).replace(/\s+/g, ' ').trim()} `;
+  const chars = Array.from(padded);
+  
+  for (let i = 0; i + 3 <= chars.length; i++) {
+    const gram = chars.slice(i, i + 3).join('');
+    let hash = 2166136261;
+    for (let j = 0; j < gram.length; j++) {
+      hash = Math.imul(hash ^ gram.charCodeAt(j), 16777619);
+    }
+    vector[(hash >>> 0) % EMBEDDING_SIZE] += 1;
+  }
+  
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
+
+function cosine(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+const PROTOTYPE_VECTORS = Object.entries(PROTOTYPES).flatMap(([label, phrases]) =>
+  phrases.map(phrase => ({ label: label, phrase: phrase, vector: embed(phrase) }))
+);
+
+// Closest labelled phrase to the text
+function nearestPrototype(text) {
+  const vector = embed(text);
+  return PROTOTYPE_VECTORS.reduce((best, prototype) => {
+    const similarity = cosine(vector, prototype.vector);
+    return similarity > best.similarity ? { label: prototype.label, phrase: prototype.phrase, similarity: similarity } : best;
+  }, { label: null, phrase: null, similarity: 0 });
+}
+
+// Classify a message using keywords, n-gram similarity and the conversation so
+// far (a follow-up like "I want to buy some" inherits the gold topic of the
+// user's previous message).
+// history is in chat message format: [{ role, content }].
+function classifyIntent(message, history = []) {
+  const text = normalise(message);
+  const gold = matchGold(text);
+  const investment = matchInvestment(text);
+  const purchase = matchPurchase(text);
+  const otherAsset = matchOtherAsset(text);
+  const nearest = nearestPrototype(text);
+  const hasQuantity = QUANTITY_PATTERN.test(text);
+  
+  // Gold was the topic of the user's previous message
+  const previous = history.filter(entry => entry.role === 'user').pop();
+  const goldContext = !!previous && matchGold(normalise(previous.content)).length > 0;
+  
+  let score = 0;
+  if (gold.length > 0) score += 0.7;
+  if (investment.length > 0) score += goldContext ? 0.4 : 0.15;
+  if (purchase.length > 0 || hasQuantity) score += goldContext ? 0.4 : 0.1;
+  if (otherAsset.length > 0 && gold.length === 0) score -= 0.5;
+  if (nearest.similarity >= 0.35) score += nearest.label === 'gold' ? 0.25 : -0.25;
+  
+  const isGoldRelated = score >= 0.5;
+  const wantsToBuy = (purchase.length > 0 || (hasQuantity && goldContext)) && !NEGATION_PATTERN.test(text) && !ADVICE_PATTERN.test(text);
+  
+  return {
+    is_gold_related: isGoldRelated,
+    purchase_intent: isGoldRelated && wantsToBuy,
+    confidence: Math.round(Math.min(0.95, 0.5 + Math.abs(score - 0.5)) * 100) / 100,
+    signals: {
+      gold_terms: gold,
+      investment_terms: investment,
+      purchase_terms: purchase,
+      other_asset_terms: otherAsset,
+      gold_context: goldContext,
+      nearest_prototype: nearest.phrase,
+      similarity: Math.round(nearest.similarity * 100) / 100
+    }
+  };
+}
+
+// Combine a validated LLM analysis with the local classifier. The LLM keeps the
+// decision unless the classifier disagrees with more confidence.
+function reconcileIntent(analysis, local) {
+  const llmGold = analysis.is_gold_related;
+  const useLocal = llmGold !== local.is_gold_related && local.confidence > analysis.confidence;
+  const isGoldRelated = useLocal ? local.is_gold_related : llmGold;
+  const purchaseIntent = analysis.purchase_intent === null ? local.purchase_intent : analysis.purchase_intent;
+  
+  return {
+    ...analysis,
+    is_gold_related: isGoldRelated,
+    purchase_intent: isGoldRelated && purchaseIntent,
+    confidence: useLocal ? local.confidence : analysis.confidence,
+    intent_source: useLocal ? 'classifier' : (llmGold === local.is_gold_related ? 'llm+classifier' : 'llm')
+  };
+}
+
+// Best-effort response text of an invalid reply: its "response" field, even
+// from truncated JSON, or else the reply itself
+function responseText(parsed, content) {
+  if (parsed && typeof parsed.response === 'string' && parsed.response.trim()) return parsed.response;
+  
+  const match = /"response"\s*:\s*"((?:[^"\\]|\\.)*)"/.exec(content);
+  if (match) {
+    try {
+      return JSON.parse(`"${match[1]}"`);
+    } catch (error) {
+      // Fall through to the raw reply
+    }
+  }
+  return content.trim();
+}
+
+// Turn a completion ({ content, provider }) into a checked analysis. Invalid
+// replies are sent back to the same provider for repair up to repairAttempts
+// times (onUsage gets the token usage of each repair); the intent is then
+// checked against the local classifier. Replies that stay invalid keep their
+// text and take the classifier's intent. Returns null when the reply had no
+// text at all.
+async function resolveAnalysis(llm, result, userMessage, conversationHistory = [], { signal = undefined, repairAttempts = 1, onUsage = null } = {}) {
+  const local = classifyIntent(userMessage, conversationHistory);
+  const parsed = extractJson(result.content);
+  let reply = result.content;
+  let check = validateAnalysis(parsed);
+  
+  // The offline provider always answers in the right format
+  for (let attempt = 0; !check.valid && reply.trim() && result.provider !== 'offline' && attempt < repairAttempts; attempt++) {
+    try {
+      const repaired = await llm.complete(
+        { messages: buildRepairMessages(reply, check.errors), temperature: 0, max_tokens: 300 },
+        { provider: result.provider, signal: signal }
+      );
+      if (onUsage && repaired.usage) onUsage(repaired.usage);
+      reply = repaired.content;
+      check = validateAnalysis(extractJson(reply));
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error('Analysis repair failed:', error.message);
+      break;
+    }
+  }
+  
+  if (check.valid) {
+    // A plain-text reply keeps its own wording
+    const analysis = parsed ? check.value : { ...check.value, response: result.content.trim() };
+    return reconcileIntent(analysis, local);
+  }
+  
+  const text = responseText(parsed, result.content);
+  if (!text) return null;
+  
+  return {
+    is_gold_related: local.is_gold_related,
+    purchase_intent: local.purchase_intent,
+    confidence: local.confidence,
+    response: text,
+    intent_summary: 'Unable to parse structured response',
+    purchase_recommendation: local.is_gold_related ? 'Consider investing in digital gold for portfolio diversification' : null,
+    intent_source: 'classifier'
+  };
+}
+
+module.exports = {
+  ANALYSIS_FORMAT,
+  extractJson,
+  validateAnalysis,
+  buildRepairMessages,
+  classifyIntent,
+  reconcileIntent,
+  resolveAnalysis
+};
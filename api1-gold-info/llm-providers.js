@@ -0,0 +1,295 @@
+// api1-gold-info/llm-providers.js
+// LLM providers for the chat assistant and the client that tries them in order
+const OpenAI = require('openai');
+const crypto = require('crypto');
+const { isExplicitConfirmation } = require('./tools');
+const { classifyIntent } = require('./intent');
+
+// LLM Providers
+//
+// A provider is an object with:
+//   name, model       - for logs and /health
+//   supportsTools     - whether tool definitions can be sent
+//   complete(request, { onDelta, signal })
+//                     - async, runs one chat completion for
+//                       { messages, tools, temperature, max_tokens, task } and resolves to
+//                       { content, toolCalls, usage } (OpenAI message format; usage is
+//                       null when unknown). With onDelta the reply is streamed and each
+//                       content piece passed to it. task is 'chat' (default) or 'summary'.
+
+// OpenAI and OpenAI-compatible servers (Ollama, llama.cpp server, vLLM, ...)
+function createOpenAICompatibleProvider({ name, apiKey, baseURL, model, timeoutMs, supportsTools = true }) {
+  const client = new OpenAI({
+    apiKey: apiKey || 'not-needed', // local servers ignore the key
+    baseURL: baseURL || undefined,
+    timeout: timeoutMs,
+    maxRetries: 0 // the next provider in LLM_PROVIDERS is the retry
+  });
+  
+  return {
+    name: name,
+    model: model,
+    supportsTools: supportsTools,
+    
+    async complete(request, { onDelta = null, signal = undefined } = {}) {
+      const body = {
+        model: model,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.max_tokens,
+        ...(request.tools ? { tools: request.tools } : {})
+      };
+      
+      if (!onDelta) {
+        const completion = await client.chat.completions.create(body, { signal: signal });
+        const message = completion.choices[0].message;
+        return { content: message.content || '', toolCalls: message.tool_calls || [], usage: completion.usage || null };
+      }
+      
+      const stream = await client.chat.completions.create(
+        { ...body, stream: true, stream_options: { include_usage: true } },
+        { signal: signal }
+      );
+      let content = '';
+      const toolCalls = [];
+      let usage = null;
+      
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage; // sent in a final chunk without choices
+        const delta = chunk.choices[0] && chunk.choices[0].delta;
+        if (!delta) continue;
+        
+        if (delta.content) {
+          content += delta.content;
+          onDelta(delta.content);
+        }
+        
+        // Tool calls arrive in pieces keyed by index
+        (delta.tool_calls || []).forEach(part => {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function && part.function.name) call.function.name += part.function.name;
+          if (part.function && part.function.arguments) call.function.arguments += part.function.arguments;
+        });
+      }
+      
+      return { content: content, toolCalls: toolCalls.filter(Boolean), usage: usage };
+    }
+  };
+}
+
+// Offline rule-based provider: local intent classifier and canned replies in the
+// same JSON format as the system prompt asks for. Needs no network or API key.
+function createOfflineProvider() {
+  const toolCall = (name, args) => ({
+    id: 'offline_' + crypto.randomBytes(4).toString('hex'),
+    type: 'function',
+    function: { name: name, arguments: JSON.stringify(args) }
+  });
+  
+  // Pick a tool for the user's message, or null to answer directly
+  const chooseTool = (text, previousReply, toolNames) => {
+    const grams = /(\d+(?:\.\d+)?)\s*(g|gm|gms|gram|grams)\b/i.exec(text);
+    const money = /(?:₹|rs\.?|inr|usd|\$|worth|for)\s*([\d,]+(?:\.\d+)?)/i.exec(text);
+    const wantsToBuy = /\b(buy|purchase|quote|invest)\b/i.test(text);
+    
+    if (toolNames.includes('initiate_purchase') && isExplicitConfirmation(text) && /quote|confirm/i.test(previousReply)) {
+      return toolCall('initiate_purchase', {});
+    }
+    if (toolNames.includes('get_purchase_quote') && wantsToBuy && (grams || money)) {
+      return toolCall('get_purchase_quote', grams
+        ? { gold_amount: parseFloat(grams[1]) }
+        : { amount: parseFloat(money[1].replace(/,/g, '')) });
+    }
+    if (toolNames.includes('get_my_holdings') && /\b(holdings?|portfolio|my gold|how much gold (do|have) i)\b/i.test(text)) {
+      return toolCall('get_my_holdings', {});
+    }
+    if (toolNames.includes('get_live_price') && /\b(price|rate|cost)\b/i.test(text)) {
+      return toolCall('get_live_price', {});
+    }
+    return null;
+  };
+  
+  // Extractive summary of a conversation summary request: the earlier summary
+  // plus what the user asked, keeping the most recent part
+  const summarise = (transcript) => {
+    const earlier = /^Earlier summary: (.*)$/m.exec(transcript);
+    const questions = transcript.split('\n')
+      .filter(line => line.startsWith('User: '))
+      .map(line => {
+        const question = line.slice(6).trim();
+        return question.length > 80 ? question.slice(0, 77) + '...' : question;
+      });
+    const summary = `${earlier ? earlier[1] + ' ' : ''}The user asked: ${questions.join('; ')}.`;
+    return summary.length > 1000 ? '...' + summary.slice(-997) : summary;
+  };
+  
+  // Turn tool results into a reply
+  const describeToolResult = (name, result) => {
+    if (result.error === 'login_required') return 'Please log in first so I can use your account.';
+    if (result.error) return `Sorry, I couldn't complete that: ${result.error}.`;
+    
+    switch (name) {
+      case 'get_live_price':
+        return `Gold is ${result.currency} ${result.price_per_gram.toLocaleString()} per gram right now.`;
+      case 'get_my_holdings':
+        return `You hold ${result.holdings.gold}g of gold worth ${result.currency} ${result.holdings.current_value.toLocaleString()} ` +
+          `(profit/loss ${result.currency} ${result.profit_loss.total.toLocaleString()}).`;
+      case 'get_purchase_quote':
+        return `I've locked ${result.gold_amount}g at ${result.currency} ${result.price_per_gram.toLocaleString()}/g, ` +
+          `${result.currency} ${result.total_amount.toLocaleString()} in total including charges, for ${Math.round(result.expires_in_seconds / 60)} minutes. ` +
+          `Reply "yes" to confirm the purchase.`;
+      case 'initiate_purchase':
+        if (result.status === 'confirmation_required') {
+          return `Please confirm: buy ${result.quote.gold_amount}g for ${result.quote.currency} ${result.quote.total_amount.toLocaleString()}? Reply "yes" to go ahead.`;
+        }
+        return `Done! Order ${result.transaction_id} for ${result.gold_amount}g is placed. Complete the payment to receive your gold.`;
+      default:
+        return '';
+    }
+  };
+  
+  return {
+    name: 'offline',
+    model: 'rules',
+    supportsTools: true,
+    
+    async complete(request, { onDelta = null } = {}) {
+      if (request.task === 'summary') {
+        return { content: summarise(request.messages[request.messages.length - 1].content), toolCalls: [], usage: null };
+      }
+      
+      const messages = request.messages;
+      const last = messages[messages.length - 1];
+      const userMessage = [...messages].reverse().find(message => message.role === 'user');
+      const text = userMessage ? String(userMessage.content) : '';
+      const toolNames = (request.tools || []).map(tool => tool.function.name);
+      
+      if (last.role === 'user' && toolNames.length > 0) {
+        const previousReply = [...messages].reverse().find(message => message.role === 'assistant');
+        const call = chooseTool(text, previousReply ? String(previousReply.content || '') : '', toolNames);
+        if (call) return { content: '', toolCalls: [call], usage: null };
+      }
+      
+      let reply;
+      if (last.role === 'tool') {
+        // Describe the results of the tool calls made for the latest user message
+        const start = messages.lastIndexOf(userMessage);
+        const calls = {};
+        messages.slice(start).forEach(message => {
+          (message.tool_calls || []).forEach(call => { calls[call.id] = call.function.name; });
+        });
+        const response = messages.slice(start)
+          .filter(message => message.role === 'tool')
+          .map(message => describeToolResult(calls[message.tool_call_id], JSON.parse(message.content)))
+          .join(' ');
+          
+        reply = {
+          is_gold_related: true,
+          purchase_intent: Object.values(calls).some(name => name === 'get_purchase_quote' || name === 'initiate_purchase'),
+          confidence: 0.8,
+          response: response,
+          intent_summary: 'Account or purchase action',
+          purchase_recommendation: null
+        };
+      } else {
+        const intent = classifyIntent(text, messages.slice(1, messages.lastIndexOf(userMessage)));
+        const isGoldRelated = intent.is_gold_related;
+        const priceMatch = /Current gold price: ([A-Z]{3} [\d.]+) per gram/.exec(messages[0].content || '');
+        const price = priceMatch ? priceMatch[1] : null;
+        
+        reply = {
+          is_gold_related: isGoldRelated,
+          purchase_intent: intent.purchase_intent,
+          confidence: intent.confidence,
+          response: !isGoldRelated
+            ? 'I specialize in gold investment and digital gold trading. How can I help you with gold investments today?'
+            : intent.purchase_intent
+              ? `${price ? `Gold is currently ${price} per gram. ` : ''}How much would you like to buy? Ask for a quote, e.g. "buy 2 grams".`
+              : `${price ? `Gold is currently ${price} per gram. ` : ''}Digital gold lets you start small and add more over time. Ask me for a quote, e.g. "quote 2 grams", to get started.`,
+          intent_summary: isGoldRelated ? 'Gold-related question (offline classifier)' : 'Not gold-related (offline classifier)',
+          purchase_recommendation: isGoldRelated ? 'Digital gold is a convenient way to invest in gold without storage concerns.' : null
+        };
+      }
+      
+      const content = JSON.stringify(reply);
+      if (onDelta) {
+        content.match(/[\s\S]{1,16}/g).forEach(piece => onDelta(piece));
+      }
+      return { content: content, toolCalls: [], usage: null };
+    }
+  };
+}
+
+// Build the providers listed in LLM_PROVIDERS, in fallback order. Defaults to
+// openai,offline when OPENAI_API_KEY is set and offline otherwise.
+function createLlmProviders(config = process.env) {
+  const defaultOrder = config.OPENAI_API_KEY ? 'openai,offline' : 'offline';
+  const names = (config.LLM_PROVIDERS || defaultOrder).split(',').map(name => name.trim()).filter(Boolean);
+  
+  return names.map(name => {
+    switch (name) {
+      case 'openai':
+        return createOpenAICompatibleProvider({
+          name: 'openai',
+          apiKey: config.OPENAI_API_KEY,
+          baseURL: config.OPENAI_BASE_URL,
+          model: config.OPENAI_MODEL || 'gpt-3.5-turbo',
+          timeoutMs: parseInt(config.OPENAI_TIMEOUT_MS) || 15000
+        });
+      case 'local':
+        return createOpenAICompatibleProvider({
+          name: 'local',
+          apiKey: config.LOCAL_LLM_API_KEY,
+          baseURL: config.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama
+          model: config.LOCAL_LLM_MODEL || 'llama3.1',
+          timeoutMs: parseInt(config.LOCAL_LLM_TIMEOUT_MS) || 30000,
+          supportsTools: config.LOCAL_LLM_TOOLS !== 'false'
+        });
+      case 'offline':
+        return createOfflineProvider();
+      default:
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+  });
+}
+
+// Try each provider in order until one answers. A streamed reply that fails
+// after sending text cannot be retried elsewhere, so that error is thrown.
+// Pass provider to use only that one.
+function createLlmClient(providers) {
+  return {
+    providers: providers.map(provider => `${provider.name}:${provider.model}`),
+    
+    async complete(request, { onDelta = null, signal = undefined, provider: only = null } = {}) {
+      let lastError = null;
+      
+      for (const provider of providers.filter(candidate => !only || candidate.name === only)) {
+        let sentText = false;
+        const providerRequest = provider.supportsTools ? request : { ...request, tools: undefined };
+        const forward = onDelta ? (text) => {
+          sentText = true;
+          onDelta(text);
+        } : null;
+        
+        try {
+          const result = await provider.complete(providerRequest, { onDelta: forward, signal: signal });
+          return { ...result, provider: provider.name, model: provider.model };
+        } catch (error) {
+          if ((signal && signal.aborted) || sentText) throw error;
+          console.error(`LLM provider ${provider.name} failed:`, error.message);
+          lastError = error;
+        }
+      }
+      
+      throw lastError || new Error('No LLM providers configured');
+    }
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  createOfflineProvider,
+  createLlmProviders,
+  createLlmClient
+};
@@ -0,0 +1,145 @@
+// api1-gold-info/test/chat-stream.test.js
+// POST /api/chat/stream against a local mock of the OpenAI streaming API. Uses
+// the database at DATABASE_URL (docker compose up postgres) for sessions,
+// prices and the stored conversation.
+const request = require('supertest');
+const { startMockOpenAIServer } = require('./mock-openai-server');
+
+// Keep the pools the app opens so they can be closed after the tests
+const mockPools = [];
+jest.mock('goldapi-shared/db', () => {
+  const actual = jest.requireActual('goldapi-shared/db');
+  return {
+    ...actual,
+    createPool: (...args) => {
+      const pool = actual.createPool(...args);
+      mockPools.push(pool);
+      return pool;
+    }
+  };
+});
+
+// The SSE body as [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const lines = block.split('\n');
+    const field = (name) => lines.find(line => line.startsWith(`${name}: `)).slice(name.length + 2);
+    return { event: field('event'), data: JSON.parse(field('data')) };
+  });
+}
+
+describe('POST /api/chat/stream', () => {
+  let openai;
+  let app;
+  
+  beforeAll(async () => {
+    openai = await startMockOpenAIServer();
+    
+    process.env.LLM_PROVIDERS = 'openai';
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.OPENAI_BASE_URL = openai.url;
+    process.env.OPENAI_MODEL = 'gpt-test';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || 'test-internal-token';
+    process.env.API2_URL = 'http://127.0.0.1:9'; // unreachable, options come from the products table
+    app = require('../server');
+  });
+  
+  afterAll(async () => {
+    await openai.close();
+    await Promise.all(mockPools.map(pool => pool.end()));
+  });
+  
+  beforeEach(() => {
+    openai.state.requests = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+  
+  test('streams the response text as token events, then the chat fields in done', async () => {
+    const analysis = {
+      is_gold_related: true,
+      purchase_intent: true,
+      confidence: 0.95,
+      response: 'Gold is a steady long-term hedge. You can start with as little as 0.1 grams.',
+      intent_summary: 'User wants to invest in gold',
+      purchase_recommendation: 'Start with a small monthly amount.'
+    };
+    openai.setReply(analysis);
+    
+    const res = await request(app)
+      .post('/api/chat/stream')
+      .send({ message: 'Should I invest in gold?' });
+      
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    
+    const events = parseEvents(res.text);
+    const tokens = events.filter(event => event.event === 'token');
+    const done = events[events.length - 1];
+    
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.map(event => event.data.text).join('')).toBe(analysis.response);
+    expect(events.filter(event => event.event === 'done')).toHaveLength(1);
+    expect(done.event).toBe('done');
+    
+    expect(done.data.is_gold_related).toBe(true);
+    expect(done.data.response).toBe(analysis.response);
+    expect(done.data.provider).toBe('openai');
+    expect(typeof done.data.session_token).toBe('string');
+    expect(done.data.session_token.length).toBeGreaterThan(0);
+    expect(done.data.current_price).toEqual({
+      amount: expect.any(Number),
+      currency: expect.any(String),
+      per_unit: 'gram',
+      last_updated: expect.anything()
+    });
+    expect(done.data.investment_options.length).toBeGreaterThan(0);
+    done.data.investment_options.forEach(option => {
+      expect(option).toEqual(expect.objectContaining({
+        id: expect.any(String),
+        amount: expect.stringMatching(/g$/),
+        price: expect.any(Number)
+      }));
+    });
+    
+    expect(openai.state.requests).toHaveLength(1);
+    expect(openai.state.requests[0].stream).toBe(true);
+    expect(openai.state.requests[0].model).toBe('gpt-test');
+    expect(openai.state.requests[0].messages.pop()).toEqual({ role: 'user', content: 'Should I invest in gold?' });
+  });
+  
+  test('ends a message that is not about gold without a session or prices', async () => {
+    const analysis = {
+      is_gold_related: false,
+      purchase_intent: false,
+      confidence: 0.9,
+      response: 'I can only help with gold investments.',
+      intent_summary: 'Weather question'
+    };
+    openai.setReply(analysis);
+    
+    const res = await request(app)
+      .post('/api/chat/stream')
+      .send({ message: 'What is the weather today?' });
+      
+    const events = parseEvents(res.text);
+    const done = events[events.length - 1];
+    
+    expect(events.filter(event => event.event === 'token').map(event => event.data.text).join('')).toBe(analysis.response);
+    expect(done.event).toBe('done');
+    expect(done.data.is_gold_related).toBe(false);
+    expect(done.data.session_token).toBeUndefined();
+    expect(done.data.investment_options).toBeUndefined();
+  });
+  
+  test('rejects a request without a message before streaming', async () => {
+    const res = await request(app).post('/api/chat/stream').send({});
+    
+    expect(res.status).toBe(400);
+    expect(openai.state.requests).toHaveLength(0);
+  });
+});
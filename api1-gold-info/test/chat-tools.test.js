@@ -0,0 +1,104 @@
+// api1-gold-info/test/chat-tools.test.js
+// Chat tool calls against the purchase API (API 2, started in-process) with the
+// offline provider choosing the tools. Uses the database at DATABASE_URL
+// (docker compose up postgres) for both services.
+const request = require('supertest');
+
+// Keep the pools both apps open so they can be closed after the tests
+const mockPools = [];
+jest.mock('goldapi-shared/db', () => {
+  const actual = jest.requireActual('goldapi-shared/db');
+  return {
+    ...actual,
+    createPool: (...args) => {
+      const pool = actual.createPool(...args);
+      mockPools.push(pool);
+      return pool;
+    }
+  };
+});
+
+describe('chat purchase tools', () => {
+  let purchaseServer;
+  let purchaseApp;
+  let app;
+  
+  beforeAll(async () => {
+    process.env.LLM_PROVIDERS = 'offline';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || 'test-internal-token';
+    process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
+    process.env.INVOICE_SIGNING_SECRET = process.env.INVOICE_SIGNING_SECRET || 'test-invoice-secret';
+    process.env.PAYMENT_MOCK_DELAY_MS = '600000'; // leave the payments pending
+    process.env.PRICE_ALERTS_ENABLED = 'false';
+    
+    purchaseApp = require('../../api2-gold-purchase/server');
+    purchaseServer = await new Promise(resolve => {
+      const server = purchaseApp.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    process.env.API2_URL = `http://127.0.0.1:${purchaseServer.address().port}`;
+    
+    app = require('../server');
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => purchaseServer.close(resolve));
+    await Promise.all(mockPools.map(pool => pool.end()));
+  });
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+  
+  // Register a user with API 2 and return their access token
+  async function registerUser(index) {
+    const res = await request(purchaseApp)
+      .post('/api/auth/register')
+      .send({
+        name: `Chat Buyer ${index}`,
+        email: `chat-buyer-${Date.now()}-${index}@example.com`,
+        password: 'chat-buyer-password'
+      });
+    expect(res.status).toBe(201);
+    return res.body.access_token;
+  }
+  
+  // Send a chat message as the user and return the reply text
+  async function chat(accessToken, message) {
+    const res = await request(app)
+      .post('/api/chat')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ message: message });
+    expect(res.status).toBe(200);
+    return res.body.response;
+  }
+  
+  test('buys for more users than the per-IP purchase limit allows through one chat service', async () => {
+    const userCount = 12; // more than purchaseLimiter's 10 per IP per hour
+    const tokens = [];
+    for (let i = 0; i < userCount; i++) {
+      tokens.push(await registerUser(i));
+    }
+    
+    for (const token of tokens) {
+      expect(await chat(token, 'Quote me 1 gram please, I want to buy')).toMatch(/I've locked 1g at/);
+      expect(await chat(token, 'Yes, buy it')).toMatch(/Done! Order \S+ for 1g is placed/);
+    }
+  });
+  
+  test('still limits each user to the purchase limit', async () => {
+    const token = await registerUser('limited');
+    const replies = [];
+    for (let i = 0; i < 11; i++) {
+      await chat(token, 'Quote me 1 gram please, I want to buy');
+      replies.push(await chat(token, 'Yes, buy it'));
+    }
+    
+    expect(replies.slice(0, 10).every(reply => /is placed/.test(reply))).toBe(true);
+    expect(replies[10]).toMatch(/Too many purchase attempts/);
+  });
+});
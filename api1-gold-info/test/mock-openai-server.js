@@ -0,0 +1,72 @@
+// api1-gold-info/test/mock-openai-server.js
+// Local stand-in for the OpenAI chat completions API: streams the reply the
+// test sets as SSE chunks (or returns it whole when stream is off) and keeps
+// the request bodies it received
+const http = require('http');
+
+// The reply split into chunks of chunkSize characters, as the API streams it
+function toChunks(text, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(text.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+async function startMockOpenAIServer() {
+  const state = { reply: '', chunkSize: 8, requests: [] };
+  
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      state.requests.push(body);
+      
+      const base = { id: 'chatcmpl-test', created: Math.floor(Date.now() / 1000), model: body.model };
+      const usage = { prompt_tokens: 50, completion_tokens: 20, total_tokens: 70 };
+      
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          ...base,
+          object: 'chat.completion',
+          choices: [{ index: 0, message: { role: 'assistant', content: state.reply }, finish_reason: 'stop' }],
+          usage: usage
+        }));
+        return;
+      }
+      
+      const send = (data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+      const chunk = (delta, finishReason = null) => ({
+        ...base,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta: delta, finish_reason: finishReason }]
+      });
+      
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      send(chunk({ role: 'assistant', content: '' }));
+      toChunks(state.reply, state.chunkSize).forEach(text => send(chunk({ content: text })));
+      send(chunk({}, 'stop'));
+      send({ ...base, object: 'chat.completion.chunk', choices: [], usage: usage });
+      send('[DONE]');
+      res.end();
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    state: state,
+    setReply: (reply) => { state.reply = typeof reply === 'string' ? reply : JSON.stringify(reply); },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  startMockOpenAIServer
+};
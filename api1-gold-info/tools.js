@@ -0,0 +1,283 @@
+// api1-gold-info/tools.js
+// Tools the chat assistant can call through OpenAI function calling. They are
+// backed by the purchase API (API2_URL, see goldapi-shared/internal), called
+// with the user's own access token.
+const { loadPricingRules, gramsForAmount } = require('goldapi-shared/charges');
+
+// Tool definitions sent to the model
+const CHAT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_live_price',
+      description: 'Get the live gold price per gram and the gold packs on sale, with any offers and purchase limits.',
+      parameters: {
+        type: 'object',
+        properties: {
+          currency: {
+            type: 'string',
+            description: '3-letter currency code. Defaults to the user\'s preferred currency.'
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_my_holdings',
+      description: 'Get the logged-in user\'s gold holdings, average cost and profit/loss.',
+      parameters: {
+        type: 'object',
+        properties: {},
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_purchase_quote',
+      description: 'Lock the current price for a purchase for a few minutes. Give product_id for a gold pack, or gold_amount in grams or amount in money for a custom amount. Always show the quote to the user and ask them to confirm before buying.',
+      parameters: {
+        type: 'object',
+        properties: {
+          product_id: {
+            type: 'string',
+            description: 'Id of a gold pack from get_live_price'
+          },
+          gold_amount: {
+            type: 'number',
+            description: 'Grams of gold to buy, within the minimum and maximum from get_live_price'
+          },
+          amount: {
+            type: 'number',
+            description: 'Amount of money to spend including charges, in the user\'s currency'
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'initiate_purchase',
+      description: 'Buy gold at the user\'s most recent quote and start the payment. Only call this after the quote was shown in an earlier reply and the user explicitly confirmed it in their latest message.',
+      parameters: {
+        type: 'object',
+        properties: {
+          payment_method: {
+            type: 'string',
+            enum: ['digital', 'upi', 'card', 'netbanking'],
+            description: 'Payment method. Defaults to digital.'
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  }
+];
+
+// Explicit go-ahead in the user's own words, e.g. "yes, buy it"
+const CONFIRMATION_PATTERN = /\b(yes|yeah|yep|sure|ok|okay|confirm|confirmed|proceed|go ahead|buy it|place (the|my) order|do it)\b/i;
+const REFUSAL_PATTERN = /\b(no|not|don't|dont|cancel|stop|wait)\b/i;
+
+function isExplicitConfirmation(message) {
+  return CONFIRMATION_PATTERN.test(message) && !REFUSAL_PATTERN.test(message);
+}
+
+// Build the tool executor. context is { userId, accessToken, clientIp, userMessage, receivedAt }.
+function createToolExecutor(pool, { issueSession, purchaseApi }) {
+  // Calls for the chat user: the purchase API rate-limits them per user (or
+  // per clientIp when anonymous), not as this service's address
+  const callPurchaseApi = (method, path, context, options = {}) => purchaseApi.request(method, path, {
+    ...options,
+    accessToken: context.accessToken,
+    clientIp: context.clientIp
+  });
+  const loginRequired = () => ({
+    error: 'login_required',
+    message: 'The user must log in before using their account or buying gold.'
+  });
+  
+  const apiError = (result, fallback) => ({
+    error: result.data.error || fallback,
+    message: result.data.message || null
+  });
+  
+  const tools = {
+    async get_live_price(args, context) {
+      const query = args.currency ? `?currency=${encodeURIComponent(String(args.currency).toUpperCase())}` : '';
+      const result = await callPurchaseApi('GET', `/api/purchase/options${query}`, context);
+      if (!result.ok) return apiError(result, 'Failed to get the gold price');
+      
+      return {
+        price_per_gram: result.data.current_price_per_gram,
+        currency: result.data.currency,
+        fx_rate: result.data.fx_rate,
+        last_updated: result.data.last_updated,
+        minimum_grams: result.data.minimum_purchase,
+        maximum_grams: result.data.maximum_purchase,
+        options: result.data.options
+          .filter(option => option.amount > 0)
+          .map(option => ({
+            product_id: option.id,
+            grams: option.amount,
+            price: option.price,
+            price_breakdown: option.price_breakdown && {
+              gold: option.price_breakdown.base,
+              spread: option.price_breakdown.spread,
+              fee: option.price_breakdown.fee,
+              tax: option.price_breakdown.tax
+            },
+            label: option.label,
+            promo_label: option.promo_label,
+            available_until: option.available_until,
+            per_user_limit_grams: option.per_user_limit
+          }))
+      };
+    },
+    
+    async get_my_holdings(args, context) {
+      if (!context.userId) return loginRequired();
+      
+      const result = await callPurchaseApi('GET', '/api/portfolio?days=1', context);
+      if (!result.ok) return apiError(result, 'Failed to get holdings');
+      
+      return {
+        currency: result.data.currency,
+        holdings: result.data.holdings,
+        profit_loss: result.data.profit_loss,
+        annualised_return_percent: result.data.xirr.annualised_return_percent
+      };
+    },
+    
+    async get_purchase_quote(args, context) {
+      if (!context.userId) return loginRequired();
+      
+      // An amount of money buys what it covers with the spread, fee and tax
+      let goldAmount = parseFloat(args.gold_amount);
+      if (isNaN(goldAmount) && args.amount !== undefined) {
+        const price = await tools.get_live_price({}, context);
+        if (price.error) return price;
+        goldAmount = gramsForAmount(await loadPricingRules(pool), {
+          amount: parseFloat(args.amount),
+          pricePerGram: price.price_per_gram,
+          fxRate: price.fx_rate,
+          currency: price.currency
+        });
+      }
+      
+      if (isNaN(goldAmount) && !args.product_id) {
+        return { error: 'Give product_id, gold_amount in grams or amount in money' };
+      }
+      
+      // Quotes are tied to a purchase session, like the chat's session_token
+      const sessionToken = await issueSession(context.userId, context.userMessage);
+      if (!sessionToken) return { error: 'Could not start a purchase session' };
+      
+      const result = await callPurchaseApi('POST', '/api/purchase/quote', context, {
+        body: {
+          session_token: sessionToken,
+          product_id: args.product_id,
+          gold_amount: isNaN(goldAmount) ? undefined : goldAmount
+        }
+      });
+      if (!result.ok) return apiError(result, 'Failed to get a quote');
+      
+      return {
+        quote_id: result.data.quote_id,
+        product_id: result.data.product_id,
+        gold_amount: result.data.gold_amount,
+        price_per_gram: result.data.price_per_gram,
+        total_amount: result.data.total_amount,
+        price_breakdown: result.data.price_breakdown,
+        currency: result.data.currency,
+        expires_in_seconds: result.data.expires_in_seconds,
+        instructions: 'Show this quote to the user and ask them to confirm. Do not buy until they do.'
+      };
+    },
+    
+    async initiate_purchase(args, context) {
+      if (!context.userId) return loginRequired();
+      
+      const quoteResult = await pool.query(
+        `SELECT quote_id, session_token, gold_amount, total_amount, currency, created_at
+         FROM price_quotes
+         WHERE user_id = $1 AND status = 'active' AND expires_at > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [context.userId]
+      );
+      const quote = quoteResult.rows[0];
+      
+      if (!quote) {
+        return { error: 'no_active_quote', message: 'Get a purchase quote first; quotes expire after a few minutes.' };
+      }
+      
+      // Money only moves once the user has seen the quote and said yes to it
+      if (quote.created_at >= context.receivedAt || !isExplicitConfirmation(context.userMessage)) {
+        return {
+          status: 'confirmation_required',
+          quote: {
+            quote_id: quote.quote_id,
+            gold_amount: parseFloat(quote.gold_amount),
+            total_amount: parseFloat(quote.total_amount),
+            currency: quote.currency
+          },
+          message: 'Show the quote and ask the user to confirm the purchase explicitly.'
+        };
+      }
+      
+      const result = await callPurchaseApi('POST', '/api/purchase/confirm', context, {
+        headers: { 'Idempotency-Key': `chat-${quote.quote_id}` },
+        body: {
+          quote_id: quote.quote_id,
+          session_token: quote.session_token,
+          payment_method: args.payment_method || 'digital'
+        }
+      });
+      if (!result.ok) return apiError(result, 'Failed to place the purchase');
+      
+      return {
+        status: 'placed',
+        transaction_id: result.data.transaction_id,
+        payment_id: result.data.payment.payment_id,
+        payment_status: result.data.payment.status,
+        gold_amount: parseFloat(quote.gold_amount),
+        total_amount: result.data.payment.amount,
+        currency: result.data.payment.currency,
+        message: result.data.message
+      };
+    }
+  };
+  
+  // Run a tool call; failures are returned to the model as { error }
+  return async function executeTool(name, rawArguments, context) {
+    if (!tools[name]) {
+      return { error: `Unknown tool: ${name}` };
+    }
+    
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      return { error: 'Tool arguments must be valid JSON' };
+    }
+    
+    try {
+      return await tools[name](args, context);
+    } catch (error) {
+      console.error(`Chat tool ${name} error:`, error.message);
+      return { error: 'Tool failed', message: error.message };
+    }
+  };
+}
+
+module.exports = {
+  CHAT_TOOLS,
+  createToolExecutor,
+  isExplicitConfirmation
+};
@@ -0,0 +1,750 @@
+// api2-gold-purchase/admin.js
+// Admin API: manual prices, FX rates, the product catalogue, pricing rules,
+// user lookup and transaction status changes. Every write is recorded in admin_audit_log in the
+// same database transaction.
+const express = require('express');
+const { listProducts, getProduct } = require('goldapi-shared/catalogue');
+const { PRODUCT_ID_PATTERN, formatAdminProduct, readProductFields, validateProduct } = require('./products');
+
+const TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'cancelled'];
+const CHARGE_COMPONENTS = ['spread', 'fee', 'tax'];
+
+// Append an entry to the audit log (db is a pool or a client inside a transaction)
+async function recordAdminAction(db, adminUserId, action, target, reason, details) {
+  const result = await db.query(
+    `INSERT INTO admin_audit_log (admin_user_id, action, target_type, target_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [adminUserId, action, target.type, target.id != null ? String(target.id) : null, reason || null, JSON.stringify(details || {})]
+  );
+  
+  return result.rows[0];
+}
+
+// Run fn(client) inside BEGIN/COMMIT, rolling back on any error
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// A pricing rule from a PUT body, typed for the database. Returns { rule } or { error }.
+function readPricingRule(body) {
+  const label = typeof body.label === 'string' ? body.label.trim() : '';
+  const percent = body.percent !== undefined ? parseFloat(body.percent) : 0;
+  const flatAmount = body.flat_amount !== undefined ? parseFloat(body.flat_amount) : 0;
+  
+  if (!label || label.length > 100) {
+    return { error: 'label must be 1 to 100 characters' };
+  }
+  if (!CHARGE_COMPONENTS.includes(body.component)) {
+    return { error: 'Invalid component. Must be one of: ' + CHARGE_COMPONENTS.join(', ') };
+  }
+  if (!['buy', 'sell'].includes(body.transaction_type)) {
+    return { error: 'Invalid transaction_type. Must be one of: buy, sell' };
+  }
+  if (isNaN(percent) || percent < 0 || percent >= 100) {
+    return { error: 'percent must be at least 0 and below 100' };
+  }
+  if (isNaN(flatAmount) || flatAmount < 0) {
+    return { error: 'flat_amount must be 0 or more' };
+  }
+  if (body.component === 'spread' && flatAmount > 0) {
+    return { error: 'A spread is a percent of the price; it cannot have a flat_amount' };
+  }
+  if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    return { error: 'is_active must be true or false' };
+  }
+  
+  return {
+    rule: {
+      label: label,
+      component: body.component,
+      transaction_type: body.transaction_type,
+      product_id: body.product_id || null,
+      percent: Math.round(percent * 1000) / 1000,
+      flat_amount: Math.round(flatAmount * 100) / 100,
+      is_active: body.is_active !== false
+    }
+  };
+}
+
+function formatPricingRule(row) {
+  return { ...row, percent: parseFloat(row.percent), flat_amount: parseFloat(row.flat_amount) };
+}
+
+function createAdminRouter(pool) {
+  const router = express.Router();
+  
+  // Publish a manual gold price (bypasses the price feed sanity guards)
+  router.post('/prices', async (req, res) => {
+    try {
+      const price = parseFloat(req.body.price_per_gram);
+      const currency = (req.body.currency || process.env.CURRENCY || 'INR').toUpperCase();
+      
+      if (isNaN(price) || price <= 0) {
+        return res.status(400).json({
+          error: 'price_per_gram must be a positive number'
+        });
+      }
+      
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        return res.status(400).json({
+          error: 'Currency must be a 3-letter code'
+        });
+      }
+      
+      const result = await withTransaction(pool, async (client) => {
+        const previous = await client.query(
+          'SELECT price_per_gram FROM gold_prices WHERE currency = $1 ORDER BY created_at DESC LIMIT 1',
+          [currency]
+        );
+        
+        const priceResult = await client.query(
+          `INSERT INTO gold_prices (price_per_gram, currency, source)
+           VALUES ($1, $2, 'manual')
+           RETURNING *`,
+          [Math.round(price * 100) / 100, currency]
+        );
+        const goldPrice = priceResult.rows[0];
+        
+        const audit = await recordAdminAction(client, req.user.id, 'price_published',
+          { type: 'gold_price', id: goldPrice.id },
+          req.body.reason,
+          {
+            currency: currency,
+            previous_price: previous.rows[0] ? parseFloat(previous.rows[0].price_per_gram) : null,
+            new_price: parseFloat(goldPrice.price_per_gram)
+          }
+        );
+        
+        return { goldPrice, audit };
+      });
+      
+      res.status(201).json({
+        success: true,
+        price: { ...result.goldPrice, price_per_gram: parseFloat(result.goldPrice.price_per_gram) },
+        audit_id: result.audit.id
+      });
+      
+    } catch (error) {
+      console.error('Admin price publish error:', error);
+      res.status(500).json({
+        error: 'Failed to publish price'
+      });
+    }
+  });
+  
+  // Update an FX rate
+  router.put('/fx-rates/:currency', async (req, res) => {
+    try {
+      const currency = req.params.currency.toUpperCase();
+      const baseCurrency = process.env.CURRENCY || 'INR';
+      const rate = parseFloat(req.body.rate);
+      
+      if (!/^[A-Z]{3}$/.test(currency) || currency === baseCurrency) {
+        return res.status(400).json({
+          error: `Currency must be a 3-letter code other than the base currency ${baseCurrency}`
+        });
+      }
+      
+      if (isNaN(rate) || rate <= 0) {
+        return res.status(400).json({
+          error: 'Rate must be a positive number'
+        });
+      }
+      
+      const fxRate = await withTransaction(pool, async (client) => {
+        const previous = await client.query(
+          'SELECT rate FROM fx_rates WHERE base_currency = $1 AND quote_currency = $2',
+          [baseCurrency, currency]
+        );
+        
+        const result = await client.query(
+          `INSERT INTO fx_rates (base_currency, quote_currency, rate, source)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (base_currency, quote_currency) DO UPDATE
+           SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()
+           RETURNING *`,
+          [baseCurrency, currency, rate, req.body.source || 'admin']
+        );
+        
+        await recordAdminAction(client, req.user.id, 'fx_rate_updated',
+          { type: 'fx_rate', id: `${baseCurrency}/${currency}` },
+          req.body.reason,
+          {
+            previous_rate: previous.rows[0] ? parseFloat(previous.rows[0].rate) : null,
+            new_rate: parseFloat(result.rows[0].rate)
+          }
+        );
+        
+        return result.rows[0];
+      });
+      
+      res.json({
+        success: true,
+        fx_rate: { ...fxRate, rate: parseFloat(fxRate.rate) }
+      });
+      
+    } catch (error) {
+      console.error('FX rate update error:', error);
+      res.status(500).json({
+        error: 'Failed to update FX rate'
+      });
+    }
+  });
+  
+  // List all products, including inactive ones and offers outside their window
+  router.get('/products', async (req, res) => {
+    try {
+      const products = await listProducts(pool, { includeUnavailable: true });
+      
+      res.json({
+        products: products.map(formatAdminProduct)
+      });
+      
+    } catch (error) {
+      console.error('Admin product list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve products'
+      });
+    }
+  });
+  
+  // Create a product. A pack has a gold_amount (min/max default to it); a
+  // custom amount product needs min_amount and max_amount.
+  router.post('/products', async (req, res) => {
+    try {
+      const productId = req.body.product_id;
+      if (typeof productId !== 'string' || !PRODUCT_ID_PATTERN.test(productId)) {
+        return res.status(400).json({
+          error: 'product_id must be 1 to 50 lowercase letters, digits, - or _'
+        });
+      }
+      
+      const { fields, error } = readProductFields(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!fields.label) {
+        return res.status(400).json({
+          error: 'label is required'
+        });
+      }
+      
+      const product = {
+        gold_amount: null,
+        min_amount: fields.gold_amount,
+        max_amount: fields.gold_amount,
+        ...fields
+      };
+      const validationError = validateProduct(product);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+      
+      const columns = Object.keys(product);
+      const created = await withTransaction(pool, async (client) => {
+        const result = await client.query(
+          `INSERT INTO products (product_id, ${columns.join(', ')})
+           VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')})
+           ON CONFLICT (product_id) DO NOTHING
+           RETURNING product_id`,
+          [productId, ...columns.map(column => product[column])]
+        );
+        
+        if (result.rows.length === 0) {
+          const error = new Error(`Product ${productId} already exists`);
+          error.code = 'PRODUCT_EXISTS';
+          throw error;
+        }
+        
+        await recordAdminAction(client, req.user.id, 'product_created',
+          { type: 'product', id: productId },
+          req.body.reason,
+          { fields: product }
+        );
+        
+        return getProduct(client, productId);
+      });
+      
+      res.status(201).json({
+        success: true,
+        product: formatAdminProduct(created)
+      });
+      
+    } catch (error) {
+      if (error.code === 'PRODUCT_EXISTS') {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      console.error('Admin product create error:', error);
+      res.status(500).json({
+        error: 'Failed to create product'
+      });
+    }
+  });
+  
+  // Change a product's fields (null clears an optional one)
+  router.patch('/products/:productId', async (req, res) => {
+    try {
+      const { fields, error } = readProductFields(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      
+      const columns = Object.keys(fields);
+      if (columns.length === 0) {
+        return res.status(400).json({
+          error: 'No product fields to update'
+        });
+      }
+      
+      const updated = await withTransaction(pool, async (client) => {
+        const existing = await client.query(
+          'SELECT * FROM products WHERE product_id = $1 FOR UPDATE',
+          [req.params.productId]
+        );
+        
+        if (existing.rows.length === 0) {
+          const error = new Error('Product not found');
+          error.code = 'PRODUCT_NOT_FOUND';
+          throw error;
+        }
+        
+        const validationError = validateProduct({ ...existing.rows[0], ...fields });
+        if (validationError) {
+          const error = new Error(validationError);
+          error.code = 'INVALID_PRODUCT';
+          throw error;
+        }
+        
+        await client.query(
+          `UPDATE products SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+           WHERE product_id = $1`,
+          [req.params.productId, ...columns.map(column => fields[column])]
+        );
+        
+        await recordAdminAction(client, req.user.id, 'product_updated',
+          { type: 'product', id: req.params.productId },
+          req.body.reason,
+          {
+            previous: Object.fromEntries(columns.map(column => [column, existing.rows[0][column]])),
+            changes: fields
+          }
+        );
+        
+        return getProduct(client, req.params.productId);
+      });
+      
+      res.json({
+        success: true,
+        product: formatAdminProduct(updated)
+      });
+      
+    } catch (error) {
+      if (error.code === 'PRODUCT_NOT_FOUND') {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      if (error.code === 'INVALID_PRODUCT') {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      console.error('Admin product update error:', error);
+      res.status(500).json({
+        error: 'Failed to update product'
+      });
+    }
+  });
+  
+  // Take a product off sale. Products stay in the table for the purchases and
+  // quotes that refer to them; PATCH is_active to put one back on sale.
+  router.delete('/products/:productId', async (req, res) => {
+    try {
+      const product = await withTransaction(pool, async (client) => {
+        const result = await client.query(
+          `UPDATE products SET is_active = false
+           WHERE product_id = $1
+           RETURNING product_id`,
+          [req.params.productId]
+        );
+        
+        if (result.rows.length === 0) {
+          const error = new Error('Product not found');
+          error.code = 'PRODUCT_NOT_FOUND';
+          throw error;
+        }
+        
+        await recordAdminAction(client, req.user.id, 'product_deactivated',
+          { type: 'product', id: req.params.productId },
+          req.body && req.body.reason,
+          {}
+        );
+        
+        return getProduct(client, req.params.productId);
+      });
+      
+      res.json({
+        success: true,
+        product: formatAdminProduct(product)
+      });
+      
+    } catch (error) {
+      if (error.code === 'PRODUCT_NOT_FOUND') {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      console.error('Admin product delete error:', error);
+      res.status(500).json({
+        error: 'Failed to deactivate product'
+      });
+    }
+  });
+  
+  // List pricing rules, including inactive ones
+  router.get('/pricing-rules', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM pricing_rules ORDER BY transaction_type, component, product_id NULLS FIRST, id'
+      );
+      
+      res.json({
+        base_currency: process.env.CURRENCY || 'INR',
+        pricing_rules: result.rows.map(formatPricingRule)
+      });
+      
+    } catch (error) {
+      console.error('Admin pricing rule list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve pricing rules'
+      });
+    }
+  });
+  
+  // Create or replace a pricing rule (flat_amount is in the base currency)
+  router.put('/pricing-rules/:ruleId', async (req, res) => {
+    try {
+      const ruleId = req.params.ruleId;
+      if (!PRODUCT_ID_PATTERN.test(ruleId)) {
+        return res.status(400).json({
+          error: 'Rule id must be 1 to 50 lowercase letters, digits, - or _'
+        });
+      }
+      
+      const { rule, error } = readPricingRule(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      
+      if (rule.product_id && !(await getProduct(pool, rule.product_id))) {
+        return res.status(400).json({
+          error: `Unknown product_id ${rule.product_id}`
+        });
+      }
+      
+      const saved = await withTransaction(pool, async (client) => {
+        const previous = await client.query(
+          'SELECT * FROM pricing_rules WHERE rule_id = $1 FOR UPDATE',
+          [ruleId]
+        );
+        
+        const result = await client.query(
+          `INSERT INTO pricing_rules (rule_id, label, component, transaction_type, product_id, percent, flat_amount, is_active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (rule_id) DO UPDATE
+           SET label = EXCLUDED.label, component = EXCLUDED.component, transaction_type = EXCLUDED.transaction_type,
+               product_id = EXCLUDED.product_id, percent = EXCLUDED.percent, flat_amount = EXCLUDED.flat_amount,
+               is_active = EXCLUDED.is_active
+           RETURNING *`,
+          [ruleId, rule.label, rule.component, rule.transaction_type, rule.product_id, rule.percent, rule.flat_amount, rule.is_active]
+        );
+        
+        await recordAdminAction(client, req.user.id, 'pricing_rule_updated',
+          { type: 'pricing_rule', id: ruleId },
+          req.body.reason,
+          {
+            previous: previous.rows[0] ? formatPricingRule(previous.rows[0]) : null,
+            rule: rule
+          }
+        );
+        
+        return { row: result.rows[0], created: previous.rows.length === 0 };
+      });
+      
+      res.status(saved.created ? 201 : 200).json({
+        success: true,
+        pricing_rule: formatPricingRule(saved.row)
+      });
+      
+    } catch (error) {
+      console.error('Admin pricing rule update error:', error);
+      res.status(500).json({
+        error: 'Failed to save pricing rule'
+      });
+    }
+  });
+  
+  // List or search users (?q= matches name, email or phone)
+  router.get('/users', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = parseInt(req.query.offset) || 0;
+      const search = req.query.q ? `%${req.query.q}%` : null;
+      const role = req.query.role || null;
+      
+      const result = await pool.query(
+        `SELECT u.id, u.name, u.email, u.phone, u.role, u.created_at,
+                COUNT(t.id) as transaction_count,
+                MAX(t.created_at) as last_transaction_at
+         FROM users u
+         LEFT JOIN transactions t ON t.user_id = u.id
+         WHERE ($1::text IS NULL OR u.name ILIKE $1 OR u.email ILIKE $1 OR u.phone ILIKE $1)
+         AND ($2::text IS NULL OR u.role = $2)
+         GROUP BY u.id
+         ORDER BY u.created_at DESC
+         LIMIT $3 OFFSET $4`,
+        [search, role, limit, offset]
+      );
+      
+      const countResult = await pool.query(
+        `SELECT COUNT(*) as total FROM users u
+         WHERE ($1::text IS NULL OR u.name ILIKE $1 OR u.email ILIKE $1 OR u.phone ILIKE $1)
+         AND ($2::text IS NULL OR u.role = $2)`,
+        [search, role]
+      );
+      const total = parseInt(countResult.rows[0].total);
+      
+      res.json({
+        users: result.rows.map(user => ({
+          ...user,
+          transaction_count: parseInt(user.transaction_count)
+        })),
+        pagination: {
+          total: total,
+          limit: limit,
+          offset: offset,
+          has_more: offset + limit < total
+        }
+      });
+      
+    } catch (error) {
+      console.error('Admin user search error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve users'
+      });
+    }
+  });
+  
+  // List transactions, optionally filtered by status or user
+  router.get('/transactions', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = parseInt(req.query.offset) || 0;
+      const status = req.query.status || null;
+      const userId = req.query.user_id ? parseInt(req.query.user_id) : null;
+      
+      if (status && !TRANSACTION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status. Must be one of: ' + TRANSACTION_STATUSES.join(', ')
+        });
+      }
+      
+      const result = await pool.query(
+        `SELECT t.*, u.name as user_name, u.email as user_email
+         FROM transactions t
+         JOIN users u ON t.user_id = u.id
+         WHERE ($1::text IS NULL OR t.status = $1)
+         AND ($2::integer IS NULL OR t.user_id = $2)
+         ORDER BY t.created_at DESC
+         LIMIT $3 OFFSET $4`,
+        [status, userId, limit, offset]
+      );
+      
+      res.json({
+        transactions: result.rows,
+        limit: limit,
+        offset: offset
+      });
+      
+    } catch (error) {
+      console.error('Admin transaction list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve transactions'
+      });
+    }
+  });
+  
+  // Change a transaction's status (a reason is required)
+  router.patch('/transactions/:transactionId/status', async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+      
+      if (!TRANSACTION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status. Must be one of: ' + TRANSACTION_STATUSES.join(', ')
+        });
+      }
+      
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({
+          error: 'A reason is required to change a transaction status'
+        });
+      }
+      
+      const result = await withTransaction(pool, async (client) => {
+        const existing = await client.query(
+          'SELECT * FROM transactions WHERE transaction_id = $1',
+          [req.params.transactionId]
+        );
+        
+        if (existing.rows.length === 0) {
+          const error = new Error('Transaction not found');
+          error.code = 'TRANSACTION_NOT_FOUND';
+          throw error;
+        }
+        
+        // Lock the owner like processSale does, then the transaction row
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [existing.rows[0].user_id]);
+        const locked = await client.query(
+          'SELECT * FROM transactions WHERE transaction_id = $1 FOR UPDATE',
+          [req.params.transactionId]
+        );
+        const transaction = locked.rows[0];
+        
+        if (transaction.status === status) {
+          const error = new Error(`Transaction is already ${status}`);
+          error.code = 'STATUS_UNCHANGED';
+          throw error;
+        }
+        
+        const updated = await client.query(
+          'UPDATE transactions SET status = $1 WHERE id = $2 RETURNING *',
+          [status, transaction.id]
+        );
+        
+        // Settle a pending payment to match, so a later gateway webhook finds it
+        // settled and cannot override the admin's decision
+        let settledPayments = [];
+        if (status !== 'pending') {
+          const payments = await client.query(
+            `UPDATE payments SET status = $1, failure_reason = $2
+             WHERE transaction_id = $3 AND status = 'pending'
+             RETURNING payment_id, status`,
+            [
+              status === 'completed' ? 'succeeded' : 'failed',
+              status === 'completed' ? null : `Transaction ${status} by an admin: ${String(reason).trim()}`,
+              transaction.transaction_id
+            ]
+          );
+          settledPayments = payments.rows;
+        }
+        
+        // Completed sells must stay covered by completed buys
+        const holdings = await client.query(
+          `SELECT COALESCE(SUM(gold_amount) FILTER (WHERE transaction_type = 'buy'), 0)
+                - COALESCE(SUM(gold_amount) FILTER (WHERE transaction_type = 'sell'), 0) as net_gold
+           FROM transactions
+           WHERE user_id = $1 AND status = 'completed'`,
+          [transaction.user_id]
+        );
+        
+        if (parseFloat(holdings.rows[0].net_gold) < 0) {
+          const error = new Error('Status change would leave the user with negative holdings');
+          error.code = 'INSUFFICIENT_HOLDINGS';
+          throw error;
+        }
+        
+        const audit = await recordAdminAction(client, req.user.id, 'transaction_status_changed',
+          { type: 'transaction', id: transaction.transaction_id },
+          reason,
+          {
+            user_id: transaction.user_id,
+            previous_status: transaction.status,
+            new_status: status,
+            settled_payments: settledPayments
+          }
+        );
+        
+        return { transaction: updated.rows[0], payments: settledPayments, audit };
+      });
+      
+      res.json({
+        success: true,
+        transaction: result.transaction,
+        settled_payments: result.payments,
+        audit_id: result.audit.id
+      });
+      
+    } catch (error) {
+      if (error.code === 'TRANSACTION_NOT_FOUND') {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      if (error.code === 'STATUS_UNCHANGED' || error.code === 'INSUFFICIENT_HOLDINGS') {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      console.error('Admin transaction status error:', error);
+      res.status(500).json({
+        error: 'Failed to update transaction status'
+      });
+    }
+  });
+  
+  // Read the audit log (newest first)
+  router.get('/audit-log', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+      
+      const result = await pool.query(
+        `SELECT a.*, u.email as admin_email
+         FROM admin_audit_log a
+         JOIN users u ON a.admin_user_id = u.id
+         WHERE ($1::text IS NULL OR a.action = $1)
+         AND ($2::text IS NULL OR a.target_type = $2)
+         AND ($3::text IS NULL OR a.target_id = $3)
+         ORDER BY a.created_at DESC, a.id DESC
+         LIMIT $4 OFFSET $5`,
+        [req.query.action || null, req.query.target_type || null, req.query.target_id || null, limit, offset]
+      );
+      
+      res.json({
+        entries: result.rows,
+        limit: limit,
+        offset: offset
+      });
+      
+    } catch (error) {
+      console.error('Audit log error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve audit log'
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  recordAdminAction
+};
@@ -0,0 +1,455 @@
+// api2-gold-purchase/alerts.js
+// Price alerts: CRUD routes, evaluation against new gold_prices rows, and the
+// LISTEN/NOTIFY listener that runs the evaluation whenever a price is written
+const express = require('express');
+const crypto = require('crypto');
+
+// Price alerts compare the price in the alert's currency, change alerts compare
+// the move in percent against the last price at least window_hours older
+const ALERT_TYPES = ['price_below', 'price_above', 'change_up', 'change_down'];
+
+// Human-readable description, used in notifications
+function describeAlert(alert) {
+  const threshold = parseFloat(alert.threshold);
+  switch (alert.alert_type) {
+    case 'price_below':
+      return `Gold below ${alert.currency} ${threshold.toLocaleString()}/g`;
+    case 'price_above':
+      return `Gold above ${alert.currency} ${threshold.toLocaleString()}/g`;
+    case 'change_up':
+      return `Gold up ${threshold}% in ${alert.window_hours}h`;
+    default:
+      return `Gold down ${threshold}% in ${alert.window_hours}h`;
+  }
+}
+
+// Public view of an alert row
+function formatAlert(alert) {
+  return {
+    alert_id: alert.alert_id,
+    alert_type: alert.alert_type,
+    threshold: parseFloat(alert.threshold),
+    currency: alert.currency,
+    window_hours: alert.alert_type.startsWith('change_') ? alert.window_hours : null,
+    channels: alert.channels,
+    status: alert.status,
+    description: describeAlert(alert),
+    is_triggered: alert.is_triggered,
+    trigger_count: alert.trigger_count,
+    last_triggered_at: alert.last_triggered_at,
+    created_at: alert.created_at
+  };
+}
+
+// Validate threshold, window and channels of a create or update request
+function validateAlertFields(fields, availableChannels) {
+  if (fields.alert_type !== undefined && !ALERT_TYPES.includes(fields.alert_type)) {
+    return 'Invalid alert_type. Must be one of: ' + ALERT_TYPES.join(', ');
+  }
+  
+  if (fields.threshold !== undefined) {
+    const threshold = parseFloat(fields.threshold);
+    if (isNaN(threshold) || threshold <= 0) {
+      return 'Threshold must be a positive number';
+    }
+    if (fields.alert_type && fields.alert_type.startsWith('change_') && threshold > 100) {
+      return 'Percentage thresholds must be at most 100';
+    }
+  }
+  
+  if (fields.window_hours !== undefined) {
+    const windowHours = parseInt(fields.window_hours);
+    if (isNaN(windowHours) || windowHours < 1 || windowHours > 720) {
+      return 'window_hours must be between 1 and 720';
+    }
+  }
+  
+  if (fields.channels !== undefined) {
+    if (!Array.isArray(fields.channels) || fields.channels.length === 0 ||
+        fields.channels.some(channel => !availableChannels.includes(channel))) {
+      return 'Channels must be a non-empty list of: ' + availableChannels.join(', ');
+    }
+  }
+  
+  return null;
+}
+
+// Routes (mounted behind authenticate)
+
+function createAlertRouter(pool, { getUserCurrency, channels }) {
+  const router = express.Router();
+  const maxAlerts = parseInt(process.env.PRICE_ALERTS_MAX_PER_USER) || 20;
+  
+  const loadAlert = async (alertId, userId) => {
+    const result = await pool.query(
+      'SELECT * FROM price_alerts WHERE alert_id = $1 AND user_id = $2',
+      [alertId, userId]
+    );
+    return result.rows[0] || null;
+  };
+  
+  const alertNotFound = (res) => res.status(404).json({
+    error: 'Alert not found'
+  });
+  
+  // Create an alert
+  router.post('/', async (req, res) => {
+    try {
+      const { alert_type, threshold } = req.body;
+      const windowHours = req.body.window_hours !== undefined ? req.body.window_hours : 24;
+      const alertChannels = req.body.channels || ['in_app'];
+      
+      if (!alert_type || threshold === undefined) {
+        return res.status(400).json({
+          error: 'Missing required fields: alert_type, threshold'
+        });
+      }
+      
+      const validationError = validateAlertFields(
+        { alert_type, threshold, window_hours: windowHours, channels: alertChannels },
+        channels
+      );
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+      
+      const countResult = await pool.query(
+        'SELECT COUNT(*) as total FROM price_alerts WHERE user_id = $1',
+        [req.user.id]
+      );
+      if (parseInt(countResult.rows[0].total) >= maxAlerts) {
+        return res.status(409).json({
+          error: `You can have at most ${maxAlerts} alerts`
+        });
+      }
+      
+      const result = await pool.query(
+        `INSERT INTO price_alerts (alert_id, user_id, alert_type, threshold, currency, window_hours, channels)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        ['ALR' + crypto.randomBytes(6).toString('hex').toUpperCase(), req.user.id, alert_type,
+         parseFloat(threshold), await getUserCurrency(req.user.id), parseInt(windowHours), alertChannels]
+      );
+      
+      res.status(201).json({
+        success: true,
+        alert: formatAlert(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('Alert create error:', error);
+      res.status(500).json({
+        error: 'Failed to create alert'
+      });
+    }
+  });
+  
+  // List the user's alerts
+  router.get('/', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM price_alerts WHERE user_id = $1 ORDER BY created_at DESC',
+        [req.user.id]
+      );
+      
+      res.json({
+        alerts: result.rows.map(formatAlert),
+        available_channels: channels
+      });
+      
+    } catch (error) {
+      console.error('Alert list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve alerts'
+      });
+    }
+  });
+  
+  // Get an alert with its recent deliveries
+  router.get('/:alertId', async (req, res) => {
+    try {
+      const alert = await loadAlert(req.params.alertId, req.user.id);
+      if (!alert) return alertNotFound(res);
+      
+      const deliveries = await pool.query(
+        `SELECT id, channel, title, status, attempts, error, sent_at, read_at, created_at
+         FROM notifications
+         WHERE user_id = $1 AND type = 'price_alert' AND data->>'alert_id' = $2
+         ORDER BY created_at DESC, id DESC
+         LIMIT 50`,
+        [req.user.id, alert.alert_id]
+      );
+      
+      res.json({
+        alert: formatAlert(alert),
+        deliveries: deliveries.rows
+      });
+      
+    } catch (error) {
+      console.error('Alert detail error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve alert'
+      });
+    }
+  });
+  
+  // Change an alert; a new threshold or window re-arms it
+  router.patch('/:alertId', async (req, res) => {
+    try {
+      const alert = await loadAlert(req.params.alertId, req.user.id);
+      if (!alert) return alertNotFound(res);
+      
+      const { threshold, window_hours, channels: alertChannels, status } = req.body;
+      
+      if (status !== undefined && !['active', 'disabled'].includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status. Must be one of: active, disabled'
+        });
+      }
+      
+      const validationError = validateAlertFields(
+        { alert_type: alert.alert_type, threshold, window_hours, channels: alertChannels },
+        channels
+      );
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+      
+      const rearm = threshold !== undefined || window_hours !== undefined;
+      const result = await pool.query(
+        `UPDATE price_alerts
+         SET threshold = COALESCE($1, threshold), window_hours = COALESCE($2, window_hours),
+             channels = COALESCE($3, channels), status = COALESCE($4, status),
+             is_triggered = CASE WHEN $5 THEN false ELSE is_triggered END
+         WHERE id = $6
+         RETURNING *`,
+        [threshold !== undefined ? parseFloat(threshold) : null,
+         window_hours !== undefined ? parseInt(window_hours) : null,
+         alertChannels || null, status || null, rearm, alert.id]
+      );
+      
+      res.json({
+        success: true,
+        alert: formatAlert(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('Alert update error:', error);
+      res.status(500).json({
+        error: 'Failed to update alert'
+      });
+    }
+  });
+  
+  // Delete an alert (its delivered notifications are kept)
+  router.delete('/:alertId', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM price_alerts WHERE alert_id = $1 AND user_id = $2 RETURNING alert_id',
+        [req.params.alertId, req.user.id]
+      );
+      
+      if (result.rows.length === 0) return alertNotFound(res);
+      
+      res.json({
+        success: true,
+        alert_id: result.rows[0].alert_id
+      });
+      
+    } catch (error) {
+      console.error('Alert delete error:', error);
+      res.status(500).json({
+        error: 'Failed to delete alert'
+      });
+    }
+  });
+  
+  return router;
+}
+
+// Evaluation
+
+// Evaluate active alerts against a gold_prices row. An alert fires once when its
+// condition becomes true and re-arms once it is false again, so a price that
+// stays below a threshold does not notify on every tick.
+async function evaluateAlerts(pool, dispatcher, priceId, { getFxRate }) {
+  const baseCurrency = process.env.CURRENCY || 'INR';
+  
+  const priceResult = await pool.query(
+    `SELECT p.*, p.id = (
+       SELECT id FROM gold_prices WHERE currency = p.currency ORDER BY created_at DESC, id DESC LIMIT 1
+     ) as is_latest
+     FROM gold_prices p
+     WHERE p.id = $1`,
+    [priceId]
+  );
+  const priceRow = priceResult.rows[0];
+  
+  // Alerts are priced from the base currency; back-filled rows are ignored
+  if (!priceRow || priceRow.currency !== baseCurrency || !priceRow.is_latest) {
+    return { evaluated: 0, triggered: 0 };
+  }
+  
+  const price = parseFloat(priceRow.price_per_gram);
+  const alerts = await pool.query("SELECT * FROM price_alerts WHERE status = 'active'");
+  const fxRates = {};
+  const referencePrices = {};
+  let triggered = 0;
+  
+  for (const alert of alerts.rows) {
+    const threshold = parseFloat(alert.threshold);
+    let conditionMet;
+    let observed;
+    
+    try {
+      if (alert.alert_type === 'price_below' || alert.alert_type === 'price_above') {
+        if (fxRates[alert.currency] === undefined) {
+          fxRates[alert.currency] = await getFxRate(alert.currency);
+        }
+        const localPrice = Math.round(price * fxRates[alert.currency] * 100) / 100;
+        conditionMet = alert.alert_type === 'price_below' ? localPrice <= threshold : localPrice >= threshold;
+        observed = { price_per_gram: localPrice, currency: alert.currency };
+      } else {
+        if (referencePrices[alert.window_hours] === undefined) {
+          const reference = await pool.query(
+            `SELECT price_per_gram FROM gold_prices
+             WHERE currency = $1
+             AND created_at <= (SELECT created_at FROM gold_prices WHERE id = $2) - make_interval(hours => $3)
+             ORDER BY created_at DESC
+             LIMIT 1`,
+            [baseCurrency, priceRow.id, alert.window_hours]
+          );
+          referencePrices[alert.window_hours] = reference.rows[0] ? parseFloat(reference.rows[0].price_per_gram) : null;
+        }
+        
+        const referencePrice = referencePrices[alert.window_hours];
+        if (!referencePrice) continue;
+        
+        const changePercent = Math.round((price - referencePrice) / referencePrice * 10000) / 100;
+        conditionMet = alert.alert_type === 'change_up' ? changePercent >= threshold : changePercent <= -threshold;
+        observed = { change_percent: changePercent, window_hours: alert.window_hours };
+      }
+    } catch (error) {
+      console.error(`Alert ${alert.alert_id} evaluation error:`, error.message);
+      continue;
+    }
+    
+    if (conditionMet && !alert.is_triggered) {
+      // Claim the trigger so concurrent evaluations notify only once
+      const claim = await pool.query(
+        `UPDATE price_alerts
+         SET is_triggered = true, trigger_count = trigger_count + 1, last_triggered_at = NOW()
+         WHERE id = $1 AND is_triggered = false
+         RETURNING *`,
+        [alert.id]
+      );
+      if (claim.rows.length === 0) continue;
+      
+      const fired = claim.rows[0];
+      triggered++;
+      await dispatcher.notify(fired.user_id, {
+        type: 'price_alert',
+        title: `Price alert: ${describeAlert(fired)}`,
+        body: observed.change_percent !== undefined
+          ? `Gold has moved ${observed.change_percent}% in the last ${observed.window_hours}h and is now ${baseCurrency} ${price.toLocaleString()}/g.`
+          : `Gold is now ${observed.currency} ${observed.price_per_gram.toLocaleString()}/g.`,
+        data: { alert_id: fired.alert_id, gold_price_id: priceRow.id, ...observed },
+        dedupeKey: `price_alert:${fired.alert_id}:${fired.trigger_count}`
+      }, fired.channels);
+    } else if (!conditionMet && alert.is_triggered) {
+      await pool.query(
+        'UPDATE price_alerts SET is_triggered = false WHERE id = $1 AND is_triggered = true',
+        [alert.id]
+      );
+    }
+  }
+  
+  return { evaluated: alerts.rows.length, triggered: triggered };
+}
+
+// Listen for gold_price_inserted notifications (sent by a trigger on gold_prices)
+// and evaluate alerts for each new row, one at a time. Reconnects on errors.
+function startAlertListener(pool, onPrice, options = {}) {
+  const reconnectMs = options.reconnectMs || 5000;
+  const status = {
+    listening: false,
+    last_price_id: null,
+    last_evaluated_at: null,
+    last_error: null
+  };
+  let client = null;
+  let stopped = false;
+  let queue = Promise.resolve();
+  
+  const handle = (message) => {
+    let payload;
+    try {
+      payload = JSON.parse(message.payload);
+    } catch (error) {
+      return;
+    }
+    
+    queue = queue
+      .then(() => onPrice(payload.id))
+      .then(() => {
+        status.last_price_id = payload.id;
+        status.last_evaluated_at = new Date().toISOString();
+      })
+      .catch(error => {
+        status.last_error = error.message;
+        console.error('Price alert evaluation error:', error.message);
+      });
+  };
+  
+  const connect = async () => {
+    if (stopped) return;
+    try {
+      client = await pool.connect();
+      client.on('notification', handle);
+      client.on('error', (error) => {
+        status.listening = false;
+        status.last_error = error.message;
+        console.error('Price alert listener error:', error.message);
+        client.release(true);
+        client = null;
+        setTimeout(connect, reconnectMs).unref();
+      });
+      await client.query('LISTEN gold_price_inserted');
+      status.listening = true;
+    } catch (error) {
+      status.last_error = error.message;
+      console.error('Price alert listener error:', error.message);
+      if (client) {
+        client.release(true);
+        client = null;
+      }
+      setTimeout(connect, reconnectMs).unref();
+    }
+  };
+  
+  connect();
+  
+  return {
+    status: status,
+    stop: () => {
+      stopped = true;
+      status.listening = false;
+      if (client) {
+        client.release(true);
+        client = null;
+      }
+    },
+    // Resolves once queued evaluations have finished
+    idle: () => queue
+  };
+}
+
+module.exports = {
+  createAlertRouter,
+  evaluateAlerts,
+  startAlertListener
+};
@@ -0,0 +1,296 @@
+// api2-gold-purchase/analytics.js
+// Analytics events for the conversion funnel, and the analytics query API.
+// The gold information API records chat_started, gold_intent and
+// session_issued; this API records purchase_initiated, quote_created,
+// purchase_pending and purchase_completed/failed. Events carry the user, the
+// anonymous visitor and the chat session when known.
+const express = require('express');
+
+const GROUP_BY = ['day', 'week', 'month'];
+const PERIOD_PATTERN = /^(\d{1,4})(h|d)$/;
+const MAX_RANGE_DAYS = 1830;
+
+// Record an event through db (the pool, or a client inside a transaction)
+async function recordEvent(db, eventType, { userId = null, visitorId = null, sessionToken = null, metadata = {} } = {}) {
+  await db.query(
+    `INSERT INTO analytics_events (event_type, user_id, visitor_id, session_token, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [eventType, userId, visitorId, sessionToken, metadata]
+  );
+}
+
+// Reports
+
+// Completed purchase metrics; every report that breaks purchases down selects these
+const PURCHASE_METRICS = `
+  COUNT(t.id)::int AS total_purchases,
+  COALESCE(SUM(t.total_amount), 0)::float8 AS total_revenue,
+  COALESCE(SUM(t.gold_amount), 0)::float8 AS total_gold_sold,
+  ROUND(AVG(t.gold_amount), 4)::float8 AS avg_purchase_size,
+  COUNT(DISTINCT t.user_id)::int AS unique_buyers`;
+const PURCHASE_FILTER = `t.transaction_type = 'buy' AND t.status = 'completed' AND t.created_at >= $1 AND t.created_at < $2`;
+const PURCHASE_COLUMNS = ['total_purchases', 'total_revenue', 'total_gold_sold', 'avg_purchase_size', 'unique_buyers'];
+
+// Each report runs its queries with the parsed options and returns the JSON
+// body plus the rows for CSV export. groupBy lists the groupings it supports;
+// defaultPeriod is the range used without from/period (null: no date filter).
+const REPORTS = {
+  // Completed purchases over time, by payment method and by purchase option
+  // (admin only, the top purchases name their buyers)
+  purchases: {
+    adminOnly: true,
+    groupBy: GROUP_BY,
+    defaultGroupBy: 'day',
+    defaultPeriod: '24h',
+    csvColumns: ['breakdown', 'key', ...PURCHASE_COLUMNS],
+    async run(pool, { from, to, groupBy }) {
+      const range = [from, to];
+      
+      const summary = await pool.query(
+        `SELECT ${PURCHASE_METRICS} FROM transactions t WHERE ${PURCHASE_FILTER}`,
+        range
+      );
+      
+      // One row per period, including periods without purchases
+      const series = await pool.query(
+        `SELECT to_char(b.period, 'YYYY-MM-DD') AS period, ${PURCHASE_METRICS}
+         FROM generate_series(date_trunc($3, $1::timestamp), $2::timestamp - INTERVAL '1 microsecond', ('1 ' || $3)::interval) AS b(period)
+         LEFT JOIN transactions t ON date_trunc($3, t.created_at) = b.period AND ${PURCHASE_FILTER}
+         GROUP BY b.period
+         ORDER BY b.period`,
+        [...range, groupBy]
+      );
+      
+      const byPaymentMethod = await pool.query(
+        `SELECT t.payment_method, ${PURCHASE_METRICS}
+         FROM transactions t
+         WHERE ${PURCHASE_FILTER}
+         GROUP BY t.payment_method
+         ORDER BY total_revenue DESC`,
+        range
+      );
+      
+      // Purchases by the product they were for (the custom amount product if none)
+      const byPurchaseOption = await pool.query(
+        `SELECT COALESCE(t.product_id, 'custom') AS purchase_option, ${PURCHASE_METRICS}
+         FROM transactions t
+         WHERE ${PURCHASE_FILTER}
+         GROUP BY COALESCE(t.product_id, 'custom')
+         ORDER BY total_revenue DESC`,
+        range
+      );
+      
+      const topPurchases = await pool.query(
+        `SELECT t.*, u.name
+         FROM transactions t
+         JOIN users u ON t.user_id = u.id
+         WHERE ${PURCHASE_FILTER}
+         ORDER BY t.total_amount DESC
+         LIMIT 5`,
+        range
+      );
+      
+      const csvRows = (breakdown, rows, key) => rows.map(row => ({ breakdown: breakdown, key: row[key], ...row }));
+      
+      return {
+        json: {
+          summary: summary.rows[0],
+          series: series.rows,
+          by_payment_method: byPaymentMethod.rows,
+          by_purchase_option: byPurchaseOption.rows,
+          top_purchases: topPurchases.rows,
+          currency: process.env.CURRENCY || 'INR'
+        },
+        rows: [
+          { breakdown: 'total', key: '', ...summary.rows[0] },
+          ...csvRows(groupBy, series.rows, 'period'),
+          ...csvRows('payment_method', byPaymentMethod.rows, 'payment_method'),
+          ...csvRows('purchase_option', byPurchaseOption.rows, 'purchase_option')
+        ]
+      };
+    }
+  },
+  
+  // The daily_analytics view: conversation volume, confidence and latency per
+  // day, for the whole days the range touches
+  daily: {
+    groupBy: ['day'],
+    defaultGroupBy: 'day',
+    defaultPeriod: '30d',
+    csvColumns: ['date', 'total_conversations', 'gold_related_conversations', 'unique_users', 'avg_confidence', 'avg_response_time_ms'],
+    async run(pool, { from, to }) {
+      const result = await pool.query(
+        `SELECT to_char(date, 'YYYY-MM-DD') AS date,
+                total_conversations::int, gold_related_conversations::int, unique_users::int,
+                avg_confidence::float8, avg_response_time_ms::float8
+         FROM daily_analytics
+         WHERE date >= $1::date AND date <= $2::date
+         ORDER BY date`,
+        [from, to]
+      );
+      
+      return { json: { days: result.rows }, rows: result.rows };
+    }
+  },
+  
+  // The user_analytics view: conversations and purchases per user (admin only,
+  // it lists emails). from/to filter on when the user signed up.
+  users: {
+    adminOnly: true,
+    groupBy: [],
+    defaultPeriod: null,
+    csvColumns: ['user_id', 'name', 'email', 'total_conversations', 'gold_conversations', 'total_purchases',
+      'total_spent', 'total_gold_purchased', 'total_gold_sold', 'user_since', 'last_conversation'],
+    async run(pool, { from, to, limit, offset }) {
+      const result = await pool.query(
+        `SELECT user_id, name, email, total_conversations::int, gold_conversations::int, total_purchases::int,
+                total_spent::float8, total_gold_purchased::float8, total_gold_sold::float8, user_since, last_conversation
+         FROM user_analytics
+         WHERE ($1::timestamp IS NULL OR user_since >= $1) AND ($2::timestamp IS NULL OR user_since < $2)
+         ORDER BY total_spent DESC, user_id
+         LIMIT $3 OFFSET $4`,
+        [from, to, limit, offset]
+      );
+      
+      return { json: { users: result.rows, count: result.rows.length }, rows: result.rows };
+    }
+  }
+};
+
+// Query parsing
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+// Date range, grouping and paging for a report from the query string. The range
+// is from/to (ISO dates, to defaults to now) or a period like 24h, 7d or 90d
+// ending now.
+function parseReportOptions(query, report) {
+  let from = null;
+  let to = null;
+  const period = query.period || (query.from ? null : report.defaultPeriod);
+  
+  if (query.from || query.to || period) {
+    to = query.to ? new Date(query.to) : new Date();
+    
+    if (query.from) {
+      from = new Date(query.from);
+    } else if (period) {
+      const match = PERIOD_PATTERN.exec(period);
+      if (!match) throw invalidQuery('Invalid period. Use hours or days, e.g. 24h, 7d or 90d');
+      from = new Date(to.getTime() - parseInt(match[1]) * (match[2] === 'h' ? 3600000 : 86400000));
+    } else {
+      throw invalidQuery('from is required with to');
+    }
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      throw invalidQuery('Invalid date range. Use ISO dates with from earlier than to');
+    }
+    if (to - from > MAX_RANGE_DAYS * 86400000) {
+      throw invalidQuery(`Date range can be at most ${MAX_RANGE_DAYS} days`);
+    }
+  }
+  
+  const groupBy = query.group_by || report.defaultGroupBy || null;
+  if (query.group_by && !report.groupBy.includes(groupBy)) {
+    throw invalidQuery(report.groupBy.length > 0
+      ? 'Invalid group_by. Must be one of: ' + report.groupBy.join(', ')
+      : 'This report cannot be grouped');
+  }
+  
+  return {
+    from: from,
+    to: to,
+    groupBy: groupBy,
+    limit: Math.min(parseInt(query.limit) || 100, 1000),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+  };
+}
+
+// CSV
+
+// Quote fields that need it, and keep spreadsheet apps from running text
+// that looks like a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+  
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvField(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Routes. GET /:report answers with JSON, or CSV for ?format=csv or
+// `Accept: text/csv`. requireAdmin guards adminOnly reports.
+function createAnalyticsRouter(pool, { requireAdmin }) {
+  const router = express.Router();
+  
+  router.get('/:report', (req, res, next) => {
+    const report = REPORTS[req.params.report];
+    if (!report) {
+      return res.status(404).json({
+        error: 'Unknown report',
+        available_reports: Object.keys(REPORTS)
+      });
+    }
+    
+    if (report.adminOnly) return requireAdmin(req, res, next);
+    next();
+  }, async (req, res) => {
+    try {
+      const report = REPORTS[req.params.report];
+      const format = req.query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+      if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({
+          error: 'Invalid format. Must be one of: json, csv'
+        });
+      }
+      
+      const options = parseReportOptions(req.query, report);
+      const result = await report.run(pool, options);
+      
+      if (format === 'csv') {
+        const range = options.from ? `-${options.from.toISOString().slice(0, 10)}-${options.to.toISOString().slice(0, 10)}` : '';
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${req.params.report}${range}.csv"`);
+        return res.send(toCsv(report.csvColumns, result.rows));
+      }
+      
+      res.json({
+        report: req.params.report,
+        from: options.from ? options.from.toISOString() : null,
+        to: options.to ? options.to.toISOString() : null,
+        group_by: options.groupBy,
+        ...result.json
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_QUERY') {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      
+      console.error('Analytics error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve analytics'
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = {
+  recordEvent,
+  createAnalyticsRouter
+};
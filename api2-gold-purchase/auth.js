@@ -0,0 +1,458 @@
+// api2-gold-purchase/auth.js
+// User registration, password/OTP login and JWT access + refresh tokens
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { loadJwtSecret } = require('goldapi-shared/session');
+const { verifyVisitorToken, linkVisitor } = require('./visitors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Throws without JWT_SECRET, so token checks fail closed
+function getJwtSecret() {
+  return loadJwtSecret(process.env);
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Public view of a user row (never expose password_hash)
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    created_at: user.created_at
+  };
+}
+
+// Token Helpers
+
+// Issue an access token and a refresh token; the refresh token id is stored
+// so it can be rotated and revoked
+async function issueTokens(pool, user) {
+  const accessToken = jwt.sign(
+    { sub: user.id, email: user.email, type: 'access' },
+    getJwtSecret(),
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+  
+  const refreshDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  const tokenId = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { sub: user.id, type: 'refresh', jti: tokenId },
+    getJwtSecret(),
+    { expiresIn: `${refreshDays}d` }
+  );
+  
+  await pool.query(
+    `INSERT INTO refresh_tokens (token_id, user_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [tokenId, user.id, refreshDays]
+  );
+  
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: process.env.ACCESS_TOKEN_TTL || '15m'
+  };
+}
+
+// Verify an access token and return its claims (null when invalid)
+function verifyAccessToken(token) {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.type === 'access' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Middleware
+
+// Require a valid `Authorization: Bearer <access token>` and set req.user
+function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const decoded = header.startsWith('Bearer ') ? verifyAccessToken(header.slice(7)) : null;
+  
+  if (!decoded) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Provide a valid access token in the Authorization header'
+    });
+  }
+  
+  req.user = { id: decoded.sub, email: decoded.email };
+  next();
+}
+
+// Like authenticate, but lets anonymous requests through with req.user = null
+function optionalAuthenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  if (!header) {
+    req.user = null;
+    return next();
+  }
+  authenticate(req, res, next);
+}
+
+// Require an authenticated user with the given role. The role is read from the
+// database on every request so a demotion takes effect immediately.
+function requireRole(pool, role) {
+  return (req, res, next) => {
+    authenticate(req, res, async () => {
+      try {
+        const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.id]);
+        
+        if (result.rows.length === 0 || result.rows[0].role !== role) {
+          return res.status(403).json({
+            error: `${role} role required`
+          });
+        }
+        
+        req.user.role = role;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+}
+
+// Routes
+
+function createAuthRouter(pool, otpSender) {
+  getJwtSecret(); // refuse to start without a key
+  const router = express.Router();
+  
+  // Register a new account with email and password. A visitor token (body
+  // visitor_token or X-Visitor-Token header) merges the visitor's anonymous chats.
+  router.post('/register', async (req, res) => {
+    try {
+      const { name, email, phone, password } = req.body;
+      
+      if (!name || !email || !password) {
+        return res.status(400).json({
+          error: 'Missing required fields: name, email, password'
+        });
+      }
+      
+      if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          error: 'Invalid email address'
+        });
+      }
+      
+      if (typeof password !== 'string' || password.length < 8) {
+        return res.status(400).json({
+          error: 'Password must be at least 8 characters'
+        });
+      }
+      
+      const passwordHash = await bcrypt.hash(password, 10);
+      const result = await pool.query(
+        `INSERT INTO users (name, email, phone, password_hash)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (email) DO NOTHING
+         RETURNING *`,
+        [name, email.toLowerCase(), phone || null, passwordHash]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(409).json({
+          error: 'An account with this email already exists'
+        });
+      }
+      
+      const user = result.rows[0];
+      const tokens = await issueTokens(pool, user);
+      
+      // Linking is best effort: the account exists either way
+      let linkedVisitor = null;
+      const visitorId = verifyVisitorToken(req.body.visitor_token || req.get('X-Visitor-Token'));
+      if (visitorId) {
+        try {
+          const counts = await linkVisitor(pool, visitorId, user.id, 'register');
+          if (counts) linkedVisitor = { visitor_id: visitorId, ...counts };
+        } catch (error) {
+          console.error('Visitor link error:', error);
+        }
+      }
+      
+      res.status(201).json({
+        success: true,
+        user: toPublicUser(user),
+        linked_visitor: linkedVisitor,
+        ...tokens
+      });
+      
+    } catch (error) {
+      console.error('Register error:', error);
+      res.status(500).json({
+        error: 'Failed to register user'
+      });
+    }
+  });
+  
+  // Log in with email and password
+  router.post('/login', async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      
+      if (!email || !password) {
+        return res.status(400).json({
+          error: 'Missing required fields: email, password'
+        });
+      }
+      
+      if (typeof email !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({
+          error: 'email and password must be strings'
+        });
+      }
+      
+      const result = await pool.query('SELECT * FROM users WHERE email = $1', [email.toLowerCase()]);
+      const user = result.rows[0];
+      
+      if (!user || !user.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+        return res.status(401).json({
+          error: 'Invalid email or password'
+        });
+      }
+      
+      const tokens = await issueTokens(pool, user);
+      
+      res.json({
+        success: true,
+        user: toPublicUser(user),
+        ...tokens
+      });
+      
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({
+        error: 'Failed to log in'
+      });
+    }
+  });
+  
+  // Send a one-time login code to an existing account
+  router.post('/otp/request', async (req, res) => {
+    try {
+      const { email } = req.body;
+      
+      if (!email) {
+        return res.status(400).json({
+          error: 'Email is required'
+        });
+      }
+      
+      if (typeof email !== 'string') {
+        return res.status(400).json({
+          error: 'email must be a string'
+        });
+      }
+      
+      const result = await pool.query('SELECT * FROM users WHERE email = $1', [email.toLowerCase()]);
+      const user = result.rows[0];
+      
+      // Same response whether or not the account exists
+      if (user) {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const ttlSeconds = parseInt(process.env.OTP_TTL_SECONDS) || 300;
+        
+        const otpResult = await pool.query(
+          `INSERT INTO otp_codes (user_id, code_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(secs => $3))
+           RETURNING expires_at`,
+          [user.id, hashCode(code), ttlSeconds]
+        );
+        
+        await otpSender.send({ user: user, code: code, expiresAt: otpResult.rows[0].expires_at });
+      }
+      
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a login code has been sent'
+      });
+      
+    } catch (error) {
+      console.error('OTP request error:', error);
+      res.status(500).json({
+        error: 'Failed to send login code'
+      });
+    }
+  });
+  
+  // Exchange a one-time code for tokens
+  router.post('/otp/verify', async (req, res) => {
+    try {
+      const { email, code } = req.body;
+      
+      if (!email || !code) {
+        return res.status(400).json({
+          error: 'Missing required fields: email, code'
+        });
+      }
+      
+      if (typeof email !== 'string') {
+        return res.status(400).json({
+          error: 'email must be a string'
+        });
+      }
+      
+      // Count the attempt against the latest live code in the same statement
+      // that checks the limit, so parallel guesses cannot exceed it
+      const maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+      const result = await pool.query(
+        `UPDATE otp_codes SET attempts = attempts + 1
+         WHERE id = (
+           SELECT o.id
+           FROM otp_codes o
+           JOIN users u ON o.user_id = u.id
+           WHERE u.email = $1 AND o.consumed_at IS NULL AND o.expires_at > NOW()
+           ORDER BY o.created_at DESC
+           LIMIT 1
+         ) AND attempts < $2
+         RETURNING *`,
+        [email.toLowerCase(), maxAttempts]
+      );
+      const otp = result.rows[0];
+      
+      if (!otp || otp.code_hash !== hashCode(String(code))) {
+        return res.status(401).json({
+          error: 'Invalid or expired login code'
+        });
+      }
+      
+      // Consume atomically so the same code cannot be used twice
+      const consumed = await pool.query(
+        'UPDATE otp_codes SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL RETURNING id',
+        [otp.id]
+      );
+      if (consumed.rows.length === 0) {
+        return res.status(401).json({
+          error: 'Invalid or expired login code'
+        });
+      }
+      
+      const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [otp.user_id]);
+      const user = userResult.rows[0];
+      const tokens = await issueTokens(pool, user);
+      
+      res.json({
+        success: true,
+        user: toPublicUser(user),
+        ...tokens
+      });
+      
+    } catch (error) {
+      console.error('OTP verify error:', error);
+      res.status(500).json({
+        error: 'Failed to verify login code'
+      });
+    }
+  });
+  
+  // Rotate a refresh token for a new access/refresh pair
+  router.post('/refresh', async (req, res) => {
+    try {
+      const { refresh_token } = req.body;
+      
+      let decoded;
+      try {
+        decoded = jwt.verify(refresh_token || '', getJwtSecret());
+      } catch (error) {
+        decoded = null;
+      }
+      
+      if (!decoded || decoded.type !== 'refresh') {
+        return res.status(401).json({
+          error: 'Invalid refresh token'
+        });
+      }
+      
+      // Revoke the presented token; a revoked or unknown token is rejected
+      const revoked = await pool.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE token_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [decoded.jti]
+      );
+      
+      if (revoked.rows.length === 0) {
+        return res.status(401).json({
+          error: 'Refresh token has been revoked or expired'
+        });
+      }
+      
+      const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [revoked.rows[0].user_id]);
+      if (userResult.rows.length === 0) {
+        return res.status(401).json({
+          error: 'User no longer exists'
+        });
+      }
+      
+      const tokens = await issueTokens(pool, userResult.rows[0]);
+      res.json({
+        success: true,
+        ...tokens
+      });
+      
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({
+        error: 'Failed to refresh token'
+      });
+    }
+  });
+  
+  // Revoke a refresh token
+  router.post('/logout', async (req, res) => {
+    try {
+      const { refresh_token } = req.body;
+      
+      let decoded;
+      try {
+        decoded = jwt.verify(refresh_token || '', getJwtSecret(), { ignoreExpiration: true });
+      } catch (error) {
+        decoded = null;
+      }
+      
+      if (decoded && decoded.type === 'refresh') {
+        await pool.query(
+          'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_id = $1 AND revoked_at IS NULL',
+          [decoded.jti]
+        );
+      }
+      
+      res.json({
+        success: true,
+        message: 'Logged out'
+      });
+      
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        error: 'Failed to log out'
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = {
+  createAuthRouter,
+  authenticate,
+  optionalAuthenticate,
+  requireRole,
+  issueTokens,
+  verifyAccessToken,
+  toPublicUser
+};
@@ -0,0 +1,387 @@
+// api2-gold-purchase/invoices.js
+// Tax invoices (purchases) and receipts (sales) for completed transactions,
+// rendered here as PDF (pdfkit) or HTML. Each carries a verification hash: an
+// HMAC of the transaction's amounts, checked by GET .../invoice/verify.
+const express = require('express');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { authenticate } = require('./auth');
+
+const FORMATS = ['pdf', 'html'];
+
+// Key for the verification hash (INVOICE_SIGNING_SECRET, required)
+function loadSigningSecret(env) {
+  if (!env.INVOICE_SIGNING_SECRET) {
+    throw new Error('INVOICE_SIGNING_SECRET must be set');
+  }
+  return env.INVOICE_SIGNING_SECRET;
+}
+
+// Seller details printed on every invoice
+function loadSeller(env) {
+  return {
+    name: env.INVOICE_SELLER_NAME || 'Gold Trading APIs',
+    address: env.INVOICE_SELLER_ADDRESS || '',
+    gstin: env.INVOICE_SELLER_GSTIN || ''
+  };
+}
+
+// JSON with object keys sorted, so the same breakdown always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// HMAC over what the invoice states about the trade. Contact details are left
+// out so an invoice downloaded before a profile change still verifies. The
+// timestamp is hashed as Postgres prints it (created_at_text), since created_at
+// has no time zone and its Date depends on the server's TZ.
+function invoiceHash(secret, transaction) {
+  const fields = {
+    transaction_id: transaction.transaction_id,
+    transaction_type: transaction.transaction_type,
+    user_id: transaction.user_id,
+    gold_amount: transaction.gold_amount,
+    price_per_gram: transaction.price_per_gram,
+    currency: transaction.settlement_currency || 'INR',
+    amount: transaction.settlement_amount || transaction.total_amount,
+    price_breakdown: transaction.price_breakdown,
+    created_at: transaction.created_at_text
+  };
+  return crypto.createHmac('sha256', secret).update(canonicalJson(fields)).digest('hex');
+}
+
+function formatMoney(amount, currency) {
+  const formatted = Math.abs(amount).toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${amount < 0 ? '-' : ''}${currency} ${formatted}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A completed transaction with its user, product and payment
+async function loadTransaction(pool, transactionId) {
+  const result = await pool.query(
+    `SELECT t.*, t.created_at::text AS created_at_text, u.name AS user_name, u.email AS user_email, u.phone AS user_phone,
+            p.label AS product_label, pay.payment_id, pay.provider AS payment_provider
+     FROM transactions t
+     JOIN users u ON u.id = t.user_id
+     LEFT JOIN products p ON p.product_id = t.product_id
+     LEFT JOIN payments pay ON pay.transaction_id = t.transaction_id
+     WHERE t.transaction_id = $1`,
+    [transactionId]
+  );
+  return result.rows[0] || null;
+}
+
+// Everything the PDF and HTML show: headings, parties and the priced lines.
+// Lines come from the stored price_breakdown; older transactions without one
+// get a single line at the recorded price.
+function buildInvoice(transaction, seller, hash) {
+  const isSale = transaction.transaction_type === 'sell';
+  const currency = transaction.settlement_currency || 'INR';
+  const goldAmount = parseFloat(transaction.gold_amount);
+  const breakdown = transaction.price_breakdown;
+  const total = parseFloat(transaction.settlement_amount || transaction.total_amount);
+  const sign = isSale ? -1 : 1;
+  const lines = [];
+  let taxableValue = null;
+  let pricePerGram;
+  let marketPricePerGram = null;
+  
+  if (breakdown) {
+    pricePerGram = breakdown.price_per_gram;
+    marketPricePerGram = breakdown.market_price_per_gram;
+    lines.push({
+      description: `Digital gold, 24K 999.9 (${goldAmount}g @ ${formatMoney(marketPricePerGram, currency)}/g)`,
+      amount: breakdown.base
+    });
+    breakdown.items.filter(item => item.component !== 'tax').forEach(item => {
+      lines.push({ description: `${item.label} (${item.percent}%)`, amount: sign * item.amount });
+    });
+    taxableValue = Math.round((breakdown.base + sign * (breakdown.spread + breakdown.fee)) * 100) / 100;
+    breakdown.items.filter(item => item.component === 'tax').forEach(item => {
+      lines.push({ description: `${item.label} (${item.percent}%)`, amount: sign * item.amount, tax: true });
+    });
+  } else {
+    pricePerGram = Math.round(total / goldAmount * 100) / 100;
+    lines.push({
+      description: `Digital gold, 24K 999.9 (${goldAmount}g @ ${formatMoney(pricePerGram, currency)}/g)`,
+      amount: total
+    });
+  }
+  
+  return {
+    title: isSale ? 'Sale Receipt' : 'Tax Invoice',
+    number: transaction.transaction_id,
+    date: transaction.created_at,
+    seller: seller,
+    customer: {
+      name: transaction.user_name,
+      email: transaction.user_email,
+      phone: transaction.user_phone
+    },
+    product: transaction.product_label,
+    payment: transaction.payment_id
+      ? `${transaction.payment_id} (${transaction.payment_provider})`
+      : transaction.payment_method,
+    currency: currency,
+    gold_amount: goldAmount,
+    price_per_gram: pricePerGram,
+    market_price_per_gram: marketPricePerGram,
+    lines: lines,
+    taxable_value: taxableValue,
+    total_label: isSale ? 'Total paid to you' : 'Total charged',
+    total: total,
+    verification_hash: hash,
+    verify_url: `/api/transactions/${transaction.transaction_id}/invoice/verify?hash=${hash}`
+  };
+}
+
+// Detail rows shown above the line items
+function invoiceDetails(invoice) {
+  const details = [
+    ['Invoice number', invoice.number],
+    ['Date', invoice.date.toISOString().slice(0, 10)],
+    ['Gold', `${invoice.gold_amount}g${invoice.product ? ` (${invoice.product})` : ''}`],
+    ['Price per gram', formatMoney(invoice.price_per_gram, invoice.currency)]
+  ];
+  if (invoice.market_price_per_gram !== null) {
+    details.push(['Market price per gram', formatMoney(invoice.market_price_per_gram, invoice.currency)]);
+  }
+  details.push(['Payment', invoice.payment]);
+  return details;
+}
+
+function renderPdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `${invoice.title} ${invoice.number}`, Author: invoice.seller.name }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    const left = 50;
+    const amountX = 380;
+    const amountWidth = 165;
+    
+    doc.font('Helvetica-Bold').fontSize(20).text(invoice.title);
+    doc.font('Helvetica').fontSize(10).moveDown(0.5);
+    doc.text(invoice.seller.name);
+    if (invoice.seller.address) doc.text(invoice.seller.address);
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Billed to');
+    doc.font('Helvetica').text(invoice.customer.name).text(invoice.customer.email);
+    if (invoice.customer.phone) doc.text(invoice.customer.phone);
+    
+    doc.moveDown();
+    invoiceDetails(invoice).forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(label, left, y, { width: 150 });
+      doc.font('Helvetica').text(value, left + 160, y);
+    });
+    
+    doc.moveDown();
+    const row = (description, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(description, left, y, { width: amountX - left - 10 });
+      const afterDescription = doc.y;
+      doc.text(amount, amountX, y, { width: amountWidth, align: 'right' });
+      doc.y = Math.max(afterDescription, doc.y) + 4;
+    };
+    
+    row('Description', `Amount (${invoice.currency})`, true);
+    doc.moveTo(left, doc.y).lineTo(amountX + amountWidth, doc.y).stroke();
+    doc.y += 4;
+    let taxableShown = false;
+    invoice.lines.forEach(line => {
+      if (line.tax && invoice.taxable_value !== null && !taxableShown) {
+        row('Taxable value', formatMoney(invoice.taxable_value, invoice.currency), true);
+        taxableShown = true;
+      }
+      row(line.description, formatMoney(line.amount, invoice.currency));
+    });
+    doc.moveTo(left, doc.y).lineTo(amountX + amountWidth, doc.y).stroke();
+    doc.y += 4;
+    row(invoice.total_label, formatMoney(invoice.total, invoice.currency), true);
+    
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').text('Verification hash', left);
+    doc.font('Courier').fontSize(9).text(invoice.verification_hash);
+    doc.font('Helvetica').fontSize(9).moveDown(0.5);
+    doc.text(`Verify at GET ${invoice.verify_url}`);
+    doc.moveDown();
+    doc.text('This is a computer-generated document and needs no signature.');
+    
+    doc.end();
+  });
+}
+
+function renderHtml(invoice) {
+  const money = amount => escapeHtml(formatMoney(amount, invoice.currency));
+  const seller = [invoice.seller.address, invoice.seller.gstin && `GSTIN: ${invoice.seller.gstin}`]
+    .filter(Boolean)
+    .map(line => `<div>${escapeHtml(line)}</div>`)
+    .join('');
+  const details = invoiceDetails(invoice)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  let taxableShown = false;
+  const lines = invoice.lines.map(line => {
+    let html = '';
+    if (line.tax && invoice.taxable_value !== null && !taxableShown) {
+      html += `<tr class="subtotal"><td>Taxable value</td><td>${money(invoice.taxable_value)}</td></tr>`;
+      taxableShown = true;
+    }
+    return html + `<tr><td>${escapeHtml(line.description)}</td><td>${money(line.amount)}</td></tr>`;
+  }).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(invoice.title)} ${escapeHtml(invoice.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; max-width: 720px; margin: 40px auto; color: #222; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th { text-align: left; width: 200px; }
+  .lines td, .lines th { padding: 6px 0; border-bottom: 1px solid #ddd; }
+  .lines td:last-child, .lines th:last-child { text-align: right; }
+  .subtotal td, .total td { font-weight: bold; }
+  code { word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(invoice.title)}</h1>
+<div><strong>${escapeHtml(invoice.seller.name)}</strong></div>
+${seller}
+<h3>Billed to</h3>
+<div>${escapeHtml(invoice.customer.name)}</div>
+<div>${escapeHtml(invoice.customer.email)}</div>
+${invoice.customer.phone ? `<div>${escapeHtml(invoice.customer.phone)}</div>` : ''}
+<table>${details}</table>
+<table class="lines">
+<tr><th>Description</th><th>Amount (${escapeHtml(invoice.currency)})</th></tr>
+${lines}
+<tr class="total"><td>${escapeHtml(invoice.total_label)}</td><td>${money(invoice.total)}</td></tr>
+</table>
+<p><strong>Verification hash</strong><br><code>${escapeHtml(invoice.verification_hash)}</code></p>
+<p>Verify at <code>GET ${escapeHtml(invoice.verify_url)}</code></p>
+<p><small>This is a computer-generated document and needs no signature.</small></p>
+</body>
+</html>
+`;
+}
+
+// Routes. GET /:transactionId/invoice answers the transaction's owner with a
+// PDF, or HTML for ?format=html or `Accept: text/html`. The verify route is
+// public so anyone holding an invoice can check it.
+function createInvoiceRouter(pool, env = process.env) {
+  const router = express.Router();
+  const secret = loadSigningSecret(env);
+  const seller = loadSeller(env);
+  
+  router.get('/:transactionId/invoice', authenticate, async (req, res) => {
+    try {
+      const format = req.query.format || (req.accepts(['pdf', 'html']) === 'html' ? 'html' : 'pdf');
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: 'Invalid format. Must be one of: ' + FORMATS.join(', ')
+        });
+      }
+      
+      const transaction = await loadTransaction(pool, req.params.transactionId);
+      if (!transaction || transaction.user_id !== req.user.id) {
+        return res.status(404).json({
+          error: 'Transaction not found'
+        });
+      }
+      
+      if (transaction.status !== 'completed') {
+        return res.status(409).json({
+          error: 'An invoice is only available for completed transactions',
+          status: transaction.status
+        });
+      }
+      
+      const invoice = buildInvoice(transaction, seller, invoiceHash(secret, transaction));
+      res.set('X-Invoice-Hash', invoice.verification_hash);
+      
+      if (format === 'html') {
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        return res.send(renderHtml(invoice));
+      }
+      
+      const pdf = await renderPdf(invoice);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="invoice-${transaction.transaction_id}.pdf"`);
+      res.send(pdf);
+      
+    } catch (error) {
+      console.error('Invoice error:', error);
+      res.status(500).json({
+        error: 'Failed to generate invoice'
+      });
+    }
+  });
+  
+  // Check an invoice's verification hash
+  router.get('/:transactionId/invoice/verify', async (req, res) => {
+    try {
+      const hash = String(req.query.hash || '');
+      if (!/^[0-9a-f]{64}$/i.test(hash)) {
+        return res.status(400).json({
+          error: 'hash must be the 64-character verification hash printed on the invoice'
+        });
+      }
+      
+      // An unknown transaction gets the same answer as a wrong hash, so the
+      // route cannot be used to find out which transaction ids exist
+      const transaction = await loadTransaction(pool, req.params.transactionId);
+      const valid = !!transaction &&
+        crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(invoiceHash(secret, transaction), 'hex'));
+        
+      res.json({
+        transaction_id: req.params.transactionId,
+        valid: valid,
+        // Only a matching hash confirms the details; a guess learns nothing
+        ...(valid && {
+          transaction_type: transaction.transaction_type,
+          status: transaction.status,
+          gold_amount: parseFloat(transaction.gold_amount),
+          currency: transaction.settlement_currency || 'INR',
+          amount: parseFloat(transaction.settlement_amount || transaction.total_amount),
+          date: transaction.created_at.toISOString()
+        })
+      });
+      
+    } catch (error) {
+      console.error('Invoice verification error:', error);
+      res.status(500).json({
+        error: 'Failed to verify invoice'
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = {
+  createInvoiceRouter
+};
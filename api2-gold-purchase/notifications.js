@@ -0,0 +1,333 @@
+// api2-gold-purchase/notifications.js
+// Notification channels, the dispatcher that records every delivery, and the
+// in-app inbox routes
+const dns = require('dns').promises;
+const net = require('net');
+const express = require('express');
+const nodemailer = require('nodemailer');
+
+// Addresses a notification webhook may not reach: unspecified, private,
+// carrier-grade NAT, loopback, link-local (cloud metadata), multicast, reserved
+// and NAT64 ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]].forEach(([address, prefix]) => {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+});
+[['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([address, prefix]) => {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+});
+
+function webhookUrlError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBHOOK_URL';
+  return error;
+}
+
+// Hosts in NOTIFICATION_WEBHOOK_ALLOWED_HOSTS may be private (e.g. a local catcher)
+function getWebhookAllowedHosts(config = process.env) {
+  return (config.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Check a notification webhook URL: http(s), and every address its host
+// resolves to is public unless the host is allowed. Throws INVALID_WEBHOOK_URL.
+async function checkWebhookUrl(value, allowedHosts = []) {
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    // handled below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw webhookUrlError('notification_webhook_url must be an http(s) URL');
+  }
+  
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (allowedHosts.includes(host)) return url;
+  
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch (error) {
+    throw webhookUrlError(`notification_webhook_url host ${host} could not be resolved`);
+  }
+  if (addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw webhookUrlError('notification_webhook_url must point to a public host');
+  }
+  
+  return url;
+}
+
+// Notification Channels
+//
+// A channel is an object with a `name` (stored in notifications.channel) and an
+// async `send(notification, recipient)`, where recipient is
+//   { id, name, email, webhook_url }
+
+// In-app inbox: the stored notification row is the delivery
+function createInAppChannel() {
+  return {
+    name: 'in_app',
+    async send() {}
+  };
+}
+
+// Email over SMTP (e.g. a local MailHog/Mailpit catcher on port 1025)
+function createEmailChannel({ host, port, from, secure = false, user = null, pass = null }) {
+  const transport = nodemailer.createTransport({
+    host: host,
+    port: port,
+    secure: secure,
+    auth: user ? { user: user, pass: pass } : undefined
+  });
+  
+  return {
+    name: 'email',
+    async send(notification, recipient) {
+      await transport.sendMail({
+        from: from,
+        to: recipient.email,
+        subject: notification.title,
+        text: notification.body
+      });
+    }
+  };
+}
+
+// POST the notification as JSON to the user's webhook URL. The URL is checked
+// again on every send, since its host may resolve elsewhere by now, and
+// redirects are not followed.
+function createWebhookChannel(timeoutMs = 5000, allowedHosts = []) {
+  return {
+    name: 'webhook',
+    async send(notification, recipient) {
+      if (!recipient.webhook_url) {
+        throw new Error('No notification webhook URL is set for this user');
+      }
+      
+      const url = await checkWebhookUrl(recipient.webhook_url, allowedHosts);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: notification.id,
+          type: notification.type,
+          title: notification.title,
+          body: notification.body,
+          data: notification.data,
+          created_at: notification.created_at
+        }),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Notification webhook responded with HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+// Build the channels listed in NOTIFICATION_CHANNELS (defaults to in_app only)
+function createNotificationChannels(config = process.env) {
+  const names = (config.NOTIFICATION_CHANNELS || 'in_app').split(',').map(name => name.trim()).filter(Boolean);
+  
+  return names.map(name => {
+    switch (name) {
+      case 'in_app':
+        return createInAppChannel();
+      case 'email':
+        return createEmailChannel({
+          host: config.SMTP_HOST || 'localhost',
+          port: parseInt(config.SMTP_PORT) || 1025,
+          from: config.SMTP_FROM || 'Gold Trading <alerts@goldtrading.local>',
+          secure: config.SMTP_SECURE === 'true',
+          user: config.SMTP_USER || null,
+          pass: config.SMTP_PASSWORD || null
+        });
+      case 'webhook':
+        return createWebhookChannel(parseInt(config.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 5000, getWebhookAllowedHosts(config));
+      default:
+        throw new Error(`Unknown notification channel: ${name}`);
+    }
+  });
+}
+
+// Dispatcher
+
+// Sends notifications through the configured channels. Each (channel, dedupe_key)
+// is stored once, so re-sending the same event is suppressed.
+function createNotificationDispatcher(pool, channels) {
+  const byName = Object.fromEntries(channels.map(channel => [channel.name, channel]));
+  
+  // Deliver one event to a user on the requested channels.
+  // Returns one result per channel: sent, failed, duplicate or unavailable.
+  async function notify(userId, message, channelNames) {
+    const recipientResult = await pool.query(
+      `SELECT u.id, u.name, u.email, p.notification_webhook_url as webhook_url,
+              COALESCE(p.notification_enabled, true) as notification_enabled
+       FROM users u
+       LEFT JOIN user_preferences p ON p.user_id = u.id
+       WHERE u.id = $1`,
+      [userId]
+    );
+    const recipient = recipientResult.rows[0];
+    if (!recipient || !recipient.notification_enabled) return [];
+    
+    const results = [];
+    for (const channelName of channelNames) {
+      const channel = byName[channelName];
+      if (!channel) {
+        results.push({ channel: channelName, status: 'unavailable' });
+        continue;
+      }
+      
+      const inserted = await pool.query(
+        `INSERT INTO notifications (user_id, channel, type, title, body, data, dedupe_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (channel, dedupe_key) DO NOTHING
+         RETURNING *`,
+        [userId, channelName, message.type, message.title, message.body, JSON.stringify(message.data || {}), message.dedupeKey]
+      );
+      
+      if (inserted.rows.length === 0) {
+        results.push({ channel: channelName, status: 'duplicate' });
+        continue;
+      }
+      
+      const notification = inserted.rows[0];
+      try {
+        await channel.send(notification, recipient);
+        await pool.query(
+          `UPDATE notifications SET status = 'sent', attempts = attempts + 1, sent_at = NOW()
+           WHERE id = $1`,
+          [notification.id]
+        );
+        results.push({ channel: channelName, status: 'sent', notification_id: notification.id });
+      } catch (error) {
+        console.error(`Notification ${notification.id} via ${channelName} failed:`, error.message);
+        await pool.query(
+          `UPDATE notifications SET status = 'failed', attempts = attempts + 1, error = $2
+           WHERE id = $1`,
+          [notification.id, error.message]
+        );
+        results.push({ channel: channelName, status: 'failed', notification_id: notification.id });
+      }
+    }
+    
+    return results;
+  }
+  
+  return {
+    channels: channels.map(channel => channel.name),
+    notify
+  };
+}
+
+// In-app inbox routes (mounted behind authenticate)
+
+function createNotificationRouter(pool) {
+  const router = express.Router();
+  
+  // List in-app notifications (?unread=true for unread only)
+  router.get('/', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = parseInt(req.query.offset) || 0;
+      const unreadOnly = req.query.unread === 'true';
+      
+      const result = await pool.query(
+        `SELECT id, type, title, body, data, read_at, created_at
+         FROM notifications
+         WHERE user_id = $1 AND channel = 'in_app'
+         AND ($2 = false OR read_at IS NULL)
+         ORDER BY created_at DESC, id DESC
+         LIMIT $3 OFFSET $4`,
+        [req.user.id, unreadOnly, limit, offset]
+      );
+      
+      const unread = await pool.query(
+        `SELECT COUNT(*) as total FROM notifications
+         WHERE user_id = $1 AND channel = 'in_app' AND read_at IS NULL`,
+        [req.user.id]
+      );
+      
+      res.json({
+        notifications: result.rows,
+        unread_count: parseInt(unread.rows[0].total),
+        limit: limit,
+        offset: offset
+      });
+      
+    } catch (error) {
+      console.error('Notification list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve notifications'
+      });
+    }
+  });
+  
+  // Mark every in-app notification as read
+  router.post('/read-all', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE notifications SET read_at = NOW()
+         WHERE user_id = $1 AND channel = 'in_app' AND read_at IS NULL`,
+        [req.user.id]
+      );
+      
+      res.json({
+        success: true,
+        marked_read: result.rowCount
+      });
+      
+    } catch (error) {
+      console.error('Notification read error:', error);
+      res.status(500).json({
+        error: 'Failed to update notifications'
+      });
+    }
+  });
+  
+  // Mark one in-app notification as read
+  router.post('/:notificationId/read', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+         WHERE id = $1 AND user_id = $2 AND channel = 'in_app'
+         RETURNING id, type, title, body, data, read_at, created_at`,
+        [parseInt(req.params.notificationId) || 0, req.user.id]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Notification not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        notification: result.rows[0]
+      });
+      
+    } catch (error) {
+      console.error('Notification read error:', error);
+      res.status(500).json({
+        error: 'Failed to update notification'
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = {
+  getWebhookAllowedHosts,
+  checkWebhookUrl,
+  createInAppChannel,
+  createEmailChannel,
+  createWebhookChannel,
+  createNotificationChannels,
+  createNotificationDispatcher,
+  createNotificationRouter
+};
@@ -0,0 +1,57 @@
+// api2-gold-purchase/otp-senders.js
+// One-time password delivery channels for OTP login
+//
+// A sender is an object with a `name` and an async `send({ user, code, expiresAt })`.
+
+// Print codes to the server log (local development and CI)
+function createConsoleOtpSender() {
+  return {
+    name: 'console',
+    async send({ user, code, expiresAt }) {
+      console.log(`🔐 OTP for ${user.email}: ${code} (expires ${expiresAt.toISOString()})`);
+    }
+  };
+}
+
+// POST codes as JSON to a webhook (e.g. an SMS/email relay or a local mock)
+function createWebhookOtpSender(url, timeoutMs = 5000) {
+  return {
+    name: 'webhook',
+    async send({ user, code, expiresAt }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: user.email,
+          phone: user.phone,
+          code: code,
+          expires_at: expiresAt.toISOString()
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`OTP webhook responded with HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+// Build the sender selected by OTP_SENDER (defaults to console)
+function createOtpSender(config = process.env) {
+  switch (config.OTP_SENDER || 'console') {
+    case 'console':
+      return createConsoleOtpSender();
+    case 'webhook':
+      if (!config.OTP_WEBHOOK_URL) throw new Error('OTP_WEBHOOK_URL is required for the webhook OTP sender');
+      return createWebhookOtpSender(config.OTP_WEBHOOK_URL);
+    default:
+      throw new Error(`Unknown OTP sender: ${config.OTP_SENDER}`);
+  }
+}
+
+module.exports = {
+  createConsoleOtpSender,
+  createWebhookOtpSender,
+  createOtpSender
+};
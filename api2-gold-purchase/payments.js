@@ -0,0 +1,144 @@
+// api2-gold-purchase/payments.js
+// Payment gateway adapters and webhook signature handling
+const crypto = require('crypto');
+
+// Payment Gateways
+//
+// A gateway is an object with:
+//   name                     - stored in payments.provider
+//   methods                  - accepted payment_method values
+//   createPayment(payment)   - async, starts a payment for
+//                              { payment_id, transaction_id, amount, currency, method }
+//                              and resolves to { provider_reference, next_action }
+//   parseWebhook(raw, headers) - verifies the signature and returns
+//                              { event_id, payment_id, status: 'succeeded'|'failed', amount, currency, failure_reason }
+
+// Sign a webhook body as `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Check a Payment-Signature header against the raw body (throws when invalid)
+function verifyWebhookSignature(payload, header, secret, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t);
+  
+  if (!timestamp || !parts.v1) {
+    throw new Error('Missing or malformed payment signature');
+  }
+  
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    throw new Error('Payment signature timestamp is outside the tolerance window');
+  }
+  
+  const expected = Buffer.from(signWebhookPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Payment signature does not match');
+  }
+}
+
+// Mock gateway for development. Payments stay pending until a signed webhook
+// arrives; set webhookUrl to have the mock post one itself after delayMs.
+function createMockPaymentGateway({ webhookSecret, webhookUrl = null, outcome = 'succeeded', delayMs = 1000, toleranceSeconds = 300 }) {
+  const sendWebhook = async (payment, providerReference) => {
+    const body = JSON.stringify({
+      id: 'evt_' + crypto.randomBytes(8).toString('hex'),
+      type: `payment.${outcome}`,
+      data: {
+        payment_id: payment.payment_id,
+        provider_reference: providerReference,
+        amount: payment.amount,
+        currency: payment.currency,
+        failure_reason: outcome === 'failed' ? 'Declined by mock gateway' : null
+      }
+    });
+    
+    try {
+      await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Payment-Signature': signWebhookPayload(body, webhookSecret)
+        },
+        body: body,
+        signal: AbortSignal.timeout(5000)
+      });
+    } catch (error) {
+      console.error('Mock gateway webhook error:', error.message);
+    }
+  };
+  
+  return {
+    name: 'mock',
+    methods: ['digital', 'upi', 'card', 'netbanking'],
+    
+    async createPayment(payment) {
+      const providerReference = 'mock_' + crypto.randomBytes(8).toString('hex');
+      
+      if (webhookUrl) {
+        setTimeout(() => sendWebhook(payment, providerReference), delayMs).unref();
+      }
+      
+      return {
+        provider_reference: providerReference,
+        next_action: null
+      };
+    },
+    
+    parseWebhook(rawBody, headers) {
+      const payload = rawBody ? rawBody.toString('utf8') : '';
+      verifyWebhookSignature(payload, headers['payment-signature'], webhookSecret, toleranceSeconds);
+      
+      const event = JSON.parse(payload);
+      const status = { 'payment.succeeded': 'succeeded', 'payment.failed': 'failed' }[event.type];
+      if (!status || !event.data || !event.data.payment_id) {
+        throw new Error(`Unsupported payment event: ${event.type}`);
+      }
+      
+      return {
+        event_id: event.id,
+        payment_id: event.data.payment_id,
+        provider_reference: event.data.provider_reference || null,
+        status: status,
+        amount: event.data.amount !== undefined ? parseFloat(event.data.amount) : null,
+        currency: event.data.currency || null,
+        failure_reason: event.data.failure_reason || null
+      };
+    }
+  };
+}
+
+// Build the gateway selected by PAYMENT_GATEWAY (defaults to mock). The webhook
+// secret has no default: anyone knowing it could mark a payment as succeeded.
+function createPaymentGateway(config = process.env) {
+  if (!config.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set');
+  }
+  
+  switch (config.PAYMENT_GATEWAY || 'mock') {
+    case 'mock':
+      return createMockPaymentGateway({
+        webhookSecret: config.PAYMENT_WEBHOOK_SECRET,
+        webhookUrl: config.PAYMENT_MOCK_WEBHOOK_URL || null,
+        outcome: config.PAYMENT_MOCK_OUTCOME || 'succeeded',
+        delayMs: parseInt(config.PAYMENT_MOCK_DELAY_MS) || 1000,
+        toleranceSeconds: parseInt(config.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300
+      });
+    default:
+      throw new Error(`Unknown payment gateway: ${config.PAYMENT_GATEWAY}`);
+  }
+}
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createMockPaymentGateway,
+  createPaymentGateway
+};
@@ -0,0 +1,187 @@
+// api2-gold-purchase/portfolio.js
+// Portfolio valuation: holdings, average cost, realised/unrealised P&L, XIRR and
+// a daily valuation series. Amounts are computed in the base currency (CURRENCY)
+// and converted once at the end.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Annualised return of dated cashflows (negative = money in, positive = money out).
+// Returns the rate as a fraction, or null when it cannot be solved.
+function xirr(cashflows) {
+  if (cashflows.length < 2) return null;
+  if (!cashflows.some(flow => flow.amount < 0) || !cashflows.some(flow => flow.amount > 0)) return null;
+  
+  const start = cashflows[0].date.getTime();
+  const flows = cashflows.map(flow => ({ amount: flow.amount, years: (flow.date.getTime() - start) / (365 * DAY_MS) }));
+  const npv = (rate) => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+  const derivative = (rate) => flows.reduce((sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1), 0);
+  
+  // Newton's method from 10%, falling back to bisection if it wanders off
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    if (Math.abs(value) < 1e-7) return rate;
+    const slope = derivative(rate);
+    if (!slope || !isFinite(slope)) break;
+    const next = rate - value / slope;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+  
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e6) high *= 10;
+  if (npv(low) * npv(high) > 0) return null;
+  
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Apply a completed transaction to running holdings using the average cost
+// method: a sell releases its share of the cost basis at the average cost.
+function applyTransaction(position, transaction) {
+  const grams = parseFloat(transaction.gold_amount);
+  const amount = parseFloat(transaction.total_amount);
+  
+  if (transaction.transaction_type === 'buy') {
+    position.gold += grams;
+    position.cost_basis += amount;
+    position.invested += amount;
+  } else {
+    const averageCost = position.gold > 0 ? position.cost_basis / position.gold : 0;
+    const releasedCost = Math.min(averageCost * grams, position.cost_basis);
+    position.realised += amount - releasedCost;
+    position.cost_basis -= releasedCost;
+    position.gold = Math.max(position.gold - grams, 0);
+    position.redeemed += amount;
+  }
+}
+
+// Build a user's portfolio. currentPrice is the base-currency price per gram,
+// fxRate converts base amounts into the display currency.
+async function getPortfolio(pool, userId, { currentPrice, currency, fxRate = 1, days = 30 }) {
+  const baseCurrency = process.env.CURRENCY || 'INR';
+  const convert = (amount) => round(amount * fxRate);
+  const now = new Date();
+  
+  const transactionsResult = await pool.query(
+    `SELECT transaction_id, transaction_type, gold_amount, total_amount, created_at
+     FROM transactions
+     WHERE user_id = $1 AND status = 'completed'
+     ORDER BY created_at, id`,
+    [userId]
+  );
+  const transactions = transactionsResult.rows;
+  
+  const position = { gold: 0, cost_basis: 0, invested: 0, redeemed: 0, realised: 0 };
+  transactions.forEach(transaction => applyTransaction(position, transaction));
+  
+  const currentValue = position.gold * currentPrice;
+  const unrealised = currentValue - position.cost_basis;
+  
+  // Cashflows from the investor's side, with the current value as a final inflow
+  const cashflows = transactions.map(transaction => ({
+    date: new Date(transaction.created_at),
+    amount: (transaction.transaction_type === 'buy' ? -1 : 1) * parseFloat(transaction.total_amount)
+  }));
+  if (currentValue > 0) {
+    cashflows.push({ date: now, amount: currentValue });
+  }
+  const annualisedReturn = xirr(cashflows);
+  
+  // Daily valuation: holdings at the end of each day times that day's last price
+  const seriesStart = new Date(now.getTime() - (days - 1) * DAY_MS);
+  seriesStart.setHours(0, 0, 0, 0);
+  
+  const pricesResult = await pool.query(
+    `SELECT DISTINCT ON (created_at::date) created_at::date as day, price_per_gram
+     FROM gold_prices
+     WHERE currency = $1 AND created_at >= $2
+     ORDER BY created_at::date, created_at DESC`,
+    [baseCurrency, seriesStart]
+  );
+  const openingPriceResult = await pool.query(
+    `SELECT price_per_gram FROM gold_prices
+     WHERE currency = $1 AND created_at < $2
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [baseCurrency, seriesStart]
+  );
+  
+  const closingPrices = {};
+  pricesResult.rows.forEach(row => {
+    closingPrices[new Date(row.day).toDateString()] = parseFloat(row.price_per_gram);
+  });
+  
+  const series = [];
+  const dailyPosition = { gold: 0, cost_basis: 0, invested: 0, redeemed: 0, realised: 0 };
+  let price = openingPriceResult.rows[0] ? parseFloat(openingPriceResult.rows[0].price_per_gram) : null;
+  let next = 0;
+  
+  for (let day = new Date(seriesStart); day <= now; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    while (next < transactions.length && new Date(transactions[next].created_at) < dayEnd) {
+      applyTransaction(dailyPosition, transactions[next]);
+      next++;
+    }
+    
+    if (closingPrices[day.toDateString()] !== undefined) {
+      price = closingPrices[day.toDateString()];
+    }
+    const isToday = dayEnd > now;
+    const dayPrice = isToday ? currentPrice : (price || currentPrice);
+    
+    series.push({
+      date: `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`,
+      gold: round(dailyPosition.gold, 4),
+      price_per_gram: convert(dayPrice),
+      value: convert(dailyPosition.gold * dayPrice),
+      cost_basis: convert(dailyPosition.cost_basis)
+    });
+  }
+  
+  return {
+    currency: currency,
+    fx_rate: fxRate,
+    holdings: {
+      gold: round(position.gold, 4),
+      average_cost_per_gram: position.gold > 0 ? convert(position.cost_basis / position.gold) : null,
+      cost_basis: convert(position.cost_basis),
+      current_price_per_gram: convert(currentPrice),
+      current_value: convert(currentValue)
+    },
+    profit_loss: {
+      realised: convert(position.realised),
+      unrealised: convert(unrealised),
+      total: convert(position.realised + unrealised),
+      total_invested: convert(position.invested),
+      total_redeemed: convert(position.redeemed),
+      return_percent: position.invested > 0 ? round((position.realised + unrealised) / position.invested * 100) : null
+    },
+    xirr: {
+      annualised_return_percent: annualisedReturn === null ? null : round(annualisedReturn * 100),
+      first_cashflow_at: cashflows.length > 0 ? cashflows[0].date : null,
+      cashflows: cashflows.length
+    },
+    transactions: transactions.length,
+    valuation_series: series
+  };
+}
+
+module.exports = {
+  xirr,
+  getPortfolio
+};
@@ -0,0 +1,213 @@
+// api2-gold-purchase/price-feed.js
+// Gold price providers and the scheduled ingester that writes ticks into gold_prices
+const fs = require('fs');
+
+// Price Providers
+//
+// A provider is an object with a `name` (stored in gold_prices.source) and an
+// async `fetchPrice()` that resolves to a tick:
+//   { price_per_gram: number, currency: string, timestamp: Date }
+
+// Normalise a raw tick from a file or HTTP response
+function parseTick(raw, fallbackTimestamp) {
+  const price = parseFloat(raw.price_per_gram);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error('Tick has no valid price_per_gram');
+  }
+  
+  const timestamp = raw.timestamp ? new Date(raw.timestamp) : fallbackTimestamp;
+  if (isNaN(timestamp.getTime())) {
+    throw new Error('Tick has an invalid timestamp');
+  }
+  
+  return {
+    price_per_gram: Math.round(price * 100) / 100,
+    currency: (raw.currency || process.env.CURRENCY || 'INR').toUpperCase(),
+    timestamp: timestamp
+  };
+}
+
+// Read ticks from a local JSON file (timestamp defaults to the file's mtime)
+function createFilePriceProvider(filePath) {
+  return {
+    name: 'file_feed',
+    async fetchPrice() {
+      const [content, stats] = await Promise.all([
+        fs.promises.readFile(filePath, 'utf8'),
+        fs.promises.stat(filePath)
+      ]);
+      return parseTick(JSON.parse(content), stats.mtime);
+    }
+  };
+}
+
+// Fetch ticks from an HTTP endpoint returning the same JSON shape
+function createHttpPriceProvider(url, timeoutMs = 5000) {
+  return {
+    name: 'http_feed',
+    async fetchPrice() {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Price feed responded with HTTP ${response.status}`);
+      }
+      
+      return parseTick(await response.json(), new Date());
+    }
+  };
+}
+
+// Build the provider selected by PRICE_FEED_PROVIDER (null when disabled)
+function createPriceProvider(config = process.env) {
+  switch (config.PRICE_FEED_PROVIDER) {
+    case 'file':
+      if (!config.PRICE_FEED_FILE) throw new Error('PRICE_FEED_FILE is required for the file price provider');
+      return createFilePriceProvider(config.PRICE_FEED_FILE);
+    case 'http':
+      if (!config.PRICE_FEED_URL) throw new Error('PRICE_FEED_URL is required for the http price provider');
+      return createHttpPriceProvider(config.PRICE_FEED_URL, parseInt(config.PRICE_FEED_TIMEOUT_MS) || 5000);
+    case undefined:
+    case '':
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown price provider: ${config.PRICE_FEED_PROVIDER}`);
+  }
+}
+
+// Price Ingestion
+
+// Get the last accepted tick for a currency
+async function getLastGoodTick(pool, currency) {
+  const result = await pool.query(
+    `SELECT price_per_gram, created_at FROM gold_prices
+     WHERE currency = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [currency]
+  );
+  
+  return result.rows[0] || null;
+}
+
+function jumpPercent(price, fromPrice) {
+  return Math.abs(price - fromPrice) / fromPrice * 100;
+}
+
+// Fetch one tick, apply the sanity guards and store it if it passes.
+// Rejected ticks are not written, so readers keep using the last good price.
+// The jump guard re-anchors on the new level instead of rejecting forever when
+// the last good tick is older than maxAgeSeconds (the feed was down), or after
+// reanchorTicks rejected ticks in a row that agree with each other (a real
+// move). options.state carries those rejected ticks between calls.
+async function ingestPriceTick(pool, provider, options = {}) {
+  const maxAgeSeconds = options.maxAgeSeconds || 300;
+  const maxJumpPercent = options.maxJumpPercent || 5;
+  const reanchorTicks = options.reanchorTicks || 3;
+  const state = options.state || {};
+  state.jumpTicks = state.jumpTicks || [];
+  
+  const tick = await provider.fetchPrice();
+  
+  const ageSeconds = (Date.now() - tick.timestamp.getTime()) / 1000;
+  if (ageSeconds > maxAgeSeconds) {
+    return { accepted: false, reason: `stale tick (${Math.round(ageSeconds)}s old)`, tick: tick };
+  }
+  
+  const lastTick = await getLastGoodTick(pool, tick.currency);
+  let reanchored = null;
+  if (lastTick) {
+    if (tick.timestamp <= lastTick.created_at) {
+      return { accepted: false, duplicate: true, reason: 'no new tick since last ingestion', tick: tick };
+    }
+    
+    const lastPrice = parseFloat(lastTick.price_per_gram);
+    const jump = jumpPercent(tick.price_per_gram, lastPrice);
+    const lastTickAgeSeconds = (tick.timestamp.getTime() - lastTick.created_at.getTime()) / 1000;
+    
+    if (jump > maxJumpPercent && lastTickAgeSeconds > maxAgeSeconds) {
+      reanchored = `last good tick is ${Math.round(lastTickAgeSeconds)}s old`;
+    } else if (jump > maxJumpPercent) {
+      // Keep the run of rejected ticks only while they agree with its first one
+      const first = state.jumpTicks[0];
+      if (!first || first.currency !== tick.currency || jumpPercent(tick.price_per_gram, first.price_per_gram) > maxJumpPercent) {
+        state.jumpTicks = [];
+      }
+      state.jumpTicks.push(tick);
+      
+      if (state.jumpTicks.length < reanchorTicks) {
+        return {
+          accepted: false,
+          reason: `price moved ${jump.toFixed(2)}% from ${lastPrice}, limit is ${maxJumpPercent}%`,
+          tick: tick
+        };
+      }
+      reanchored = `${state.jumpTicks.length} consecutive ticks moved ${jump.toFixed(2)}% from ${lastPrice}`;
+    }
+  }
+  state.jumpTicks = [];
+  
+  const result = await pool.query(
+    `INSERT INTO gold_prices (price_per_gram, currency, source, created_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [tick.price_per_gram, tick.currency, provider.name, tick.timestamp]
+  );
+  
+  return { accepted: true, reanchored: reanchored, tick: tick, row: result.rows[0] };
+}
+
+// Run ingestPriceTick on a timer. Returns a handle with the latest status and stop().
+function startPriceIngestion(pool, provider, options = {}) {
+  const intervalMs = options.intervalMs || 60000;
+  const ingestOptions = { ...options, state: {} };
+  const status = {
+    provider: provider.name,
+    interval_ms: intervalMs,
+    last_run_at: null,
+    last_accepted_at: null,
+    last_price: null,
+    last_error: null
+  };
+  
+  const run = async () => {
+    status.last_run_at = new Date().toISOString();
+    try {
+      const result = await ingestPriceTick(pool, provider, ingestOptions);
+      if (result.reanchored) {
+        console.warn(`⚠️  Price feed ${provider.name}: re-anchored at ${result.tick.price_per_gram} (${result.reanchored})`);
+      }
+      if (result.accepted) {
+        status.last_accepted_at = status.last_run_at;
+        status.last_price = result.tick.price_per_gram;
+        status.last_error = null;
+      } else if (!result.duplicate) {
+        status.last_error = `Rejected tick: ${result.reason}`;
+        console.warn(`⚠️  Price feed ${provider.name}: ${status.last_error}`);
+      }
+    } catch (error) {
+      status.last_error = error.message;
+      console.error(`Price feed ${provider.name} error:`, error.message);
+    }
+  };
+  
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  
+  return {
+    status: status,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  createFilePriceProvider,
+  createHttpPriceProvider,
+  createPriceProvider,
+  ingestPriceTick,
+  startPriceIngestion
+};
@@ -0,0 +1,171 @@
+// api2-gold-purchase/products.js
+// Purchase rules from the product catalogue (goldapi-shared/catalogue): which
+// product a purchase is for, the amounts it allows and per-user limits, plus
+// the field checks for the admin product routes
+const { formatProduct, getProduct } = require('goldapi-shared/catalogue');
+
+const PRODUCT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const NUMBER_FIELDS = ['gold_amount', 'min_amount', 'max_amount', 'per_user_limit'];
+const NULLABLE_FIELDS = ['description', 'gold_amount', 'promo_label', 'available_from', 'available_until',
+  'per_user_limit', 'per_user_limit_days'];
+const PRODUCT_FIELDS = ['label', 'description', 'gold_amount', 'min_amount', 'max_amount', 'popular', 'promo_label',
+  'available_from', 'available_until', 'per_user_limit', 'per_user_limit_days', 'sort_order', 'is_active'];
+  
+function purchaseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Round grams to the 4 decimals the database keeps
+function grams(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// The product and amount for a purchase request. Without productId the custom
+// product is used; a pack bought without an amount buys the pack size. Throws
+// PRODUCT_NOT_FOUND (unknown or not on sale) or INVALID_AMOUNT.
+async function resolvePurchase(db, { productId = null, goldAmount = null }) {
+  const product = await getProduct(db, productId || 'custom');
+  if (!product || !product.available) {
+    throw purchaseError('PRODUCT_NOT_FOUND', `Product ${productId || 'custom'} is not available`);
+  }
+  
+  const amount = goldAmount !== null && goldAmount !== undefined && goldAmount !== ''
+    ? parseFloat(goldAmount)
+    : parseFloat(product.gold_amount);
+  const minAmount = parseFloat(product.min_amount);
+  const maxAmount = parseFloat(product.max_amount);
+  
+  if (isNaN(amount) || amount < minAmount || amount > maxAmount) {
+    throw purchaseError('INVALID_AMOUNT', minAmount === maxAmount
+      ? `Invalid gold amount. ${product.label} is ${minAmount} grams`
+      : `Invalid gold amount. ${product.label} must be between ${minAmount} and ${maxAmount} grams`);
+  }
+  
+  return { product, goldAmount: amount };
+}
+
+// Grams one sale may be: the custom amount product's min_amount and
+// max_amount, whether or not it is on sale. Throws PRODUCT_NOT_FOUND without it.
+async function getSaleLimits(db) {
+  const product = await getProduct(db, 'custom');
+  if (!product) {
+    throw purchaseError('PRODUCT_NOT_FOUND', 'Product custom does not exist');
+  }
+  return { minAmount: parseFloat(product.min_amount), maxAmount: parseFloat(product.max_amount) };
+}
+
+// Refuse a purchase that would take the user past the product's per-user
+// limit (PURCHASE_LIMIT). Pending and completed purchases count. Call it in the
+// purchase transaction after locking the user row.
+async function checkPurchaseLimit(db, product, userId, goldAmount) {
+  if (product.per_user_limit === null) return;
+  
+  const days = product.per_user_limit_days;
+  const result = await db.query(
+    `SELECT COALESCE(SUM(gold_amount), 0) as bought
+     FROM transactions
+     WHERE user_id = $1 AND product_id = $2 AND transaction_type = 'buy'
+     AND status IN ('pending', 'completed')
+     AND ($3::integer IS NULL OR created_at >= NOW() - make_interval(days => $3))`,
+    [userId, product.product_id, days]
+  );
+  
+  const bought = parseFloat(result.rows[0].bought);
+  const limit = parseFloat(product.per_user_limit);
+  
+  if (grams(bought + goldAmount) > limit) {
+    throw purchaseError('PURCHASE_LIMIT',
+      `${product.label} is limited to ${limit}g per customer${days ? ` every ${days} days` : ''}. ` +
+      `You can buy up to ${grams(Math.max(limit - bought, 0))}g more`);
+  }
+}
+
+// Admin Product Fields
+
+// Admin view of a products row
+function formatAdminProduct(row) {
+  return {
+    ...formatProduct(row),
+    available_from: row.available_from,
+    sort_order: row.sort_order,
+    is_active: row.is_active,
+    available: row.available,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// The product fields set in a create or update request, typed for the
+// database. Returns { fields } or { error }.
+function readProductFields(body) {
+  const fields = {};
+  
+  for (const name of PRODUCT_FIELDS) {
+    const value = body[name];
+    if (value === undefined) continue;
+    
+    if (value === null) {
+      if (!NULLABLE_FIELDS.includes(name)) return { error: `${name} cannot be null` };
+      fields[name] = null;
+    } else if (NUMBER_FIELDS.includes(name)) {
+      const number = parseFloat(value);
+      if (isNaN(number) || number <= 0 || number > 1000000) return { error: `${name} must be a positive number of grams` };
+      fields[name] = grams(number);
+    } else if (name === 'per_user_limit_days' || name === 'sort_order') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || (name === 'per_user_limit_days' && number <= 0)) {
+        return { error: `${name} must be ${name === 'sort_order' ? 'an integer' : 'a positive number of days'}` };
+      }
+      fields[name] = number;
+    } else if (name === 'popular' || name === 'is_active') {
+      if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+      fields[name] = value;
+    } else if (name === 'available_from' || name === 'available_until') {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return { error: `${name} must be an ISO date` };
+      fields[name] = date;
+    } else {
+      const text = String(value).trim();
+      if ((name === 'label' && !text) || (name !== 'description' && text.length > 100)) {
+        return { error: `${name} must be 1 to 100 characters` };
+      }
+      fields[name] = text || null;
+    }
+  }
+  
+  return { fields };
+}
+
+// Checks across fields, on the product as it will be saved (a row with the
+// changes applied); an error message or null
+function validateProduct(product) {
+  const goldAmount = product.gold_amount !== null ? parseFloat(product.gold_amount) : null;
+  const minAmount = parseFloat(product.min_amount);
+  const maxAmount = parseFloat(product.max_amount);
+  
+  if (isNaN(minAmount) || isNaN(maxAmount)) {
+    return 'min_amount and max_amount are required for a custom amount product';
+  }
+  if (minAmount > maxAmount) {
+    return 'min_amount cannot be more than max_amount';
+  }
+  if (goldAmount !== null && (goldAmount < minAmount || goldAmount > maxAmount)) {
+    return 'gold_amount must be between min_amount and max_amount';
+  }
+  if (product.available_from && product.available_until && new Date(product.available_until) <= new Date(product.available_from)) {
+    return 'available_until must be after available_from';
+  }
+  return null;
+}
+
+module.exports = {
+  PRODUCT_ID_PATTERN,
+  resolvePurchase,
+  getSaleLimits,
+  checkPurchaseLimit,
+  formatAdminProduct,
+  readProductFields,
+  validateProduct
+};
@@ -0,0 +1,681 @@
+// api2-gold-purchase/sip.js
+// Systematic investment plans (SIPs): recurring purchases of a fixed amount or
+// number of grams, plus the scheduler that runs due instalments through processPurchase
+const express = require('express');
+const crypto = require('crypto');
+const { loadPricingRules, gramsForAmount } = require('goldapi-shared/charges');
+const { assertFreshPrice } = require('goldapi-shared/pricing');
+const { resolvePurchase } = require('./products');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const AMOUNT_TYPES = ['amount', 'grams'];
+
+// Schedule Helpers
+
+// Instalment after `date`. Monthly plans keep the start day, clamped to short months.
+function getNextInstalment(date, frequency, anchorDay) {
+  const next = new Date(date);
+  
+  if (frequency === 'daily') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 2, 0)).getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  }
+  
+  return next;
+}
+
+// First instalment after `from` that is still in the future (missed ones are not backfilled)
+function getNextFutureInstalment(plan, from, now = new Date()) {
+  const anchorDay = new Date(plan.start_at).getUTCDate();
+  let next = getNextInstalment(from, plan.frequency, anchorDay);
+  while (next <= now) {
+    next = getNextInstalment(next, plan.frequency, anchorDay);
+  }
+  return next;
+}
+
+// Public view of a plan row
+function formatPlan(plan) {
+  return {
+    plan_id: plan.plan_id,
+    amount_type: plan.amount_type,
+    amount: parseFloat(plan.amount),
+    currency: plan.currency,
+    frequency: plan.frequency,
+    payment_method: plan.payment_method,
+    status: plan.status,
+    start_at: plan.start_at,
+    next_instalment_at: plan.status === 'cancelled' ? null : plan.next_instalment_at,
+    next_run_at: plan.status === 'active' ? plan.next_run_at : null,
+    retry_count: plan.retry_count,
+    last_run_at: plan.last_run_at,
+    created_at: plan.created_at
+  };
+}
+
+// Validate the amount/frequency fields of a create or update request
+function validatePlanFields(fields, paymentMethods) {
+  if (fields.amount_type !== undefined && !AMOUNT_TYPES.includes(fields.amount_type)) {
+    return 'Invalid amount_type. Must be one of: ' + AMOUNT_TYPES.join(', ');
+  }
+  
+  if (fields.frequency !== undefined && !FREQUENCIES.includes(fields.frequency)) {
+    return 'Invalid frequency. Must be one of: ' + FREQUENCIES.join(', ');
+  }
+  
+  if (fields.payment_method !== undefined && !paymentMethods.includes(fields.payment_method)) {
+    return 'Invalid payment_method. Must be one of: ' + paymentMethods.join(', ');
+  }
+  
+  if (fields.amount !== undefined) {
+    const amount = parseFloat(fields.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return 'Amount must be a positive number';
+    }
+  }
+  
+  return null;
+}
+
+// Routes (mounted behind authenticate)
+
+function createSipRouter(pool, { getUserCurrency, paymentMethods }) {
+  const router = express.Router();
+  
+  const loadPlan = async (planId, userId) => {
+    const result = await pool.query(
+      'SELECT * FROM sip_plans WHERE plan_id = $1 AND user_id = $2',
+      [planId, userId]
+    );
+    return result.rows[0] || null;
+  };
+  
+  const planNotFound = (res) => res.status(404).json({
+    error: 'SIP plan not found'
+  });
+  
+  // Instalments buy the custom amount product, so a grams plan must fit its
+  // limits (amount plans are checked as each instalment is priced)
+  const checkPlanAmount = async (fields) => {
+    if (fields.amount_type !== 'grams' || fields.amount === undefined) return null;
+    try {
+      await resolvePurchase(pool, { goldAmount: fields.amount });
+      return null;
+    } catch (error) {
+      if (error.code === 'INVALID_AMOUNT' || error.code === 'PRODUCT_NOT_FOUND') return error.message;
+      throw error;
+    }
+  };
+  
+  // Create a plan
+  router.post('/', async (req, res) => {
+    try {
+      const { amount_type, amount, frequency, start_date } = req.body;
+      const payment_method = req.body.payment_method || 'digital';
+      
+      if (!amount_type || !amount || !frequency) {
+        return res.status(400).json({
+          error: 'Missing required fields: amount_type, amount, frequency'
+        });
+      }
+      
+      const validationError = validatePlanFields({ amount_type, amount, frequency, payment_method }, paymentMethods) ||
+        await checkPlanAmount({ amount_type, amount });
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+      
+      const startAt = start_date ? new Date(start_date) : new Date();
+      if (isNaN(startAt.getTime()) || startAt.getTime() < Date.now() - 60000) {
+        return res.status(400).json({
+          error: 'start_date must be a valid date that is not in the past'
+        });
+      }
+      
+      const result = await pool.query(
+        `INSERT INTO sip_plans (plan_id, user_id, amount_type, amount, currency, frequency, payment_method,
+                                start_at, next_instalment_at, next_run_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $8)
+         RETURNING *`,
+        ['SIP' + crypto.randomBytes(6).toString('hex').toUpperCase(), req.user.id, amount_type,
+         parseFloat(amount), await getUserCurrency(req.user.id), frequency, payment_method, startAt]
+      );
+      
+      res.status(201).json({
+        success: true,
+        plan: formatPlan(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('SIP create error:', error);
+      res.status(500).json({
+        error: 'Failed to create SIP plan'
+      });
+    }
+  });
+  
+  // List the user's plans
+  router.get('/', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM sip_plans
+         WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+         ORDER BY created_at DESC`,
+        [req.user.id, req.query.status || null]
+      );
+      
+      res.json({
+        plans: result.rows.map(formatPlan)
+      });
+      
+    } catch (error) {
+      console.error('SIP list error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve SIP plans'
+      });
+    }
+  });
+  
+  // Get a plan with its recent runs
+  router.get('/:planId', async (req, res) => {
+    try {
+      const plan = await loadPlan(req.params.planId, req.user.id);
+      if (!plan) return planNotFound(res);
+      
+      const runs = await pool.query(
+        `SELECT r.instalment_at, r.attempt, r.status, r.transaction_id, r.gold_amount, r.price_per_gram,
+                r.amount, r.error, r.created_at, r.completed_at
+         FROM sip_runs r
+         WHERE r.plan_id = $1
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT $2`,
+        [plan.plan_id, Math.min(parseInt(req.query.limit) || 20, 100)]
+      );
+      
+      res.json({
+        plan: formatPlan(plan),
+        runs: runs.rows.map(run => ({
+          ...run,
+          gold_amount: run.gold_amount !== null ? parseFloat(run.gold_amount) : null,
+          price_per_gram: run.price_per_gram !== null ? parseFloat(run.price_per_gram) : null,
+          amount: run.amount !== null ? parseFloat(run.amount) : null
+        }))
+      });
+      
+    } catch (error) {
+      console.error('SIP detail error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve SIP plan'
+      });
+    }
+  });
+  
+  // Change the amount, frequency or payment method (applies from the next instalment)
+  router.patch('/:planId', async (req, res) => {
+    try {
+      const plan = await loadPlan(req.params.planId, req.user.id);
+      if (!plan) return planNotFound(res);
+      
+      if (plan.status === 'cancelled') {
+        return res.status(409).json({
+          error: 'Cancelled plans cannot be changed'
+        });
+      }
+      
+      const fields = {
+        amount_type: req.body.amount_type !== undefined ? req.body.amount_type : plan.amount_type,
+        amount: req.body.amount,
+        frequency: req.body.frequency,
+        payment_method: req.body.payment_method
+      };
+      
+      if (fields.amount === undefined && fields.frequency === undefined &&
+          fields.payment_method === undefined && req.body.amount_type === undefined) {
+        return res.status(400).json({
+          error: 'Provide amount_type, amount, frequency or payment_method to update'
+        });
+      }
+      
+      if (req.body.amount_type !== undefined && req.body.amount_type !== plan.amount_type && fields.amount === undefined) {
+        return res.status(400).json({
+          error: 'Provide a new amount when changing amount_type'
+        });
+      }
+      
+      const validationError = validatePlanFields(fields, paymentMethods) || await checkPlanAmount(fields);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+      
+      const result = await pool.query(
+        `UPDATE sip_plans
+         SET amount_type = $1, amount = COALESCE($2, amount), frequency = COALESCE($3, frequency),
+             payment_method = COALESCE($4, payment_method)
+         WHERE id = $5
+         RETURNING *`,
+        [fields.amount_type, fields.amount !== undefined ? parseFloat(fields.amount) : null,
+         fields.frequency || null, fields.payment_method || null, plan.id]
+      );
+      
+      res.json({
+        success: true,
+        plan: formatPlan(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('SIP update error:', error);
+      res.status(500).json({
+        error: 'Failed to update SIP plan'
+      });
+    }
+  });
+  
+  // Pause a plan (no instalments run until it is resumed)
+  router.post('/:planId/pause', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE sip_plans SET status = 'paused'
+         WHERE plan_id = $1 AND user_id = $2 AND status = 'active'
+         RETURNING *`,
+        [req.params.planId, req.user.id]
+      );
+      
+      if (result.rows.length === 0) {
+        const plan = await loadPlan(req.params.planId, req.user.id);
+        if (!plan) return planNotFound(res);
+        return res.status(409).json({
+          error: `Plan is ${plan.status}, only active plans can be paused`
+        });
+      }
+      
+      res.json({
+        success: true,
+        plan: formatPlan(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('SIP pause error:', error);
+      res.status(500).json({
+        error: 'Failed to pause SIP plan'
+      });
+    }
+  });
+  
+  // Resume a paused plan from its next future instalment
+  router.post('/:planId/resume', async (req, res) => {
+    try {
+      const plan = await loadPlan(req.params.planId, req.user.id);
+      if (!plan) return planNotFound(res);
+      
+      if (plan.status !== 'paused') {
+        return res.status(409).json({
+          error: `Plan is ${plan.status}, only paused plans can be resumed`
+        });
+      }
+      
+      const nextInstalment = new Date(plan.next_instalment_at) > new Date()
+        ? plan.next_instalment_at
+        : getNextFutureInstalment(plan, plan.next_instalment_at);
+        
+      const result = await pool.query(
+        `UPDATE sip_plans
+         SET status = 'active', next_instalment_at = $1, next_run_at = $1, retry_count = 0
+         WHERE id = $2 AND status = 'paused'
+         RETURNING *`,
+        [nextInstalment, plan.id]
+      );
+      
+      res.json({
+        success: true,
+        plan: formatPlan(result.rows[0] || plan)
+      });
+      
+    } catch (error) {
+      console.error('SIP resume error:', error);
+      res.status(500).json({
+        error: 'Failed to resume SIP plan'
+      });
+    }
+  });
+  
+  // Skip the next instalment
+  router.post('/:planId/skip', async (req, res) => {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const planResult = await client.query(
+        'SELECT * FROM sip_plans WHERE plan_id = $1 AND user_id = $2 FOR UPDATE',
+        [req.params.planId, req.user.id]
+      );
+      const plan = planResult.rows[0];
+      
+      if (!plan) {
+        await client.query('ROLLBACK');
+        return planNotFound(res);
+      }
+      
+      if (plan.status === 'cancelled') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Cancelled plans cannot be skipped'
+        });
+      }
+      
+      const inFlight = await client.query(
+        "SELECT id FROM sip_runs WHERE plan_id = $1 AND status = 'processing'",
+        [plan.plan_id]
+      );
+      if (inFlight.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'The current instalment is already being processed'
+        });
+      }
+      
+      await client.query(
+        `INSERT INTO sip_runs (plan_id, instalment_at, attempt, status, completed_at)
+         VALUES ($1, $2, $3, 'skipped', NOW())`,
+        [plan.plan_id, plan.next_instalment_at, plan.retry_count + 1]
+      );
+      
+      const nextInstalment = getNextFutureInstalment(plan, plan.next_instalment_at);
+      const result = await client.query(
+        `UPDATE sip_plans
+         SET next_instalment_at = $1, next_run_at = $1, retry_count = 0
+         WHERE id = $2
+         RETURNING *`,
+        [nextInstalment, plan.id]
+      );
+      
+      await client.query('COMMIT');
+      
+      res.json({
+        success: true,
+        skipped_instalment_at: plan.next_instalment_at,
+        plan: formatPlan(result.rows[0])
+      });
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('SIP skip error:', error);
+      res.status(500).json({
+        error: 'Failed to skip SIP instalment'
+      });
+    } finally {
+      client.release();
+    }
+  });
+  
+  // Cancel a plan (runs already in flight still settle)
+  router.delete('/:planId', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE sip_plans SET status = 'cancelled'
+         WHERE plan_id = $1 AND user_id = $2 AND status <> 'cancelled'
+         RETURNING *`,
+        [req.params.planId, req.user.id]
+      );
+      
+      if (result.rows.length === 0) {
+        const plan = await loadPlan(req.params.planId, req.user.id);
+        if (!plan) return planNotFound(res);
+        return res.status(409).json({
+          error: 'Plan is already cancelled'
+        });
+      }
+      
+      res.json({
+        success: true,
+        plan: formatPlan(result.rows[0])
+      });
+      
+    } catch (error) {
+      console.error('SIP cancel error:', error);
+      res.status(500).json({
+        error: 'Failed to cancel SIP plan'
+      });
+    }
+  });
+  
+  return router;
+}
+
+// Scheduler
+
+// Close a processing run and move its plan on: completed runs and runs out of
+// retries advance to the next instalment, other failures are retried later.
+async function finishRun(pool, runId, status, errorMessage, options) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const runResult = await client.query(
+      `UPDATE sip_runs SET status = $1, error = $2, completed_at = NOW()
+       WHERE id = $3 AND status = 'processing'
+       RETURNING *`,
+      [status, errorMessage || null, runId]
+    );
+    const run = runResult.rows[0];
+    
+    if (run) {
+      const planResult = await client.query(
+        'SELECT * FROM sip_plans WHERE plan_id = $1 FOR UPDATE',
+        [run.plan_id]
+      );
+      const plan = planResult.rows[0];
+      
+      if (status === 'failed' && plan.retry_count < options.maxRetries) {
+        await client.query(
+          `UPDATE sip_plans
+           SET retry_count = retry_count + 1, next_run_at = NOW() + make_interval(secs => $1)
+           WHERE id = $2`,
+          [options.retryDelaySeconds, plan.id]
+        );
+      } else {
+        const nextInstalment = getNextFutureInstalment(plan, plan.next_instalment_at);
+        await client.query(
+          `UPDATE sip_plans
+           SET retry_count = 0, next_instalment_at = $1, next_run_at = $1
+           WHERE id = $2`,
+          [nextInstalment, plan.id]
+        );
+      }
+    }
+    
+    await client.query('COMMIT');
+    return run || null;
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Run one due instalment. The partial unique index on processing runs makes the
+// claim safe if several API instances run the scheduler. processPurchase links
+// the run to its transaction when it creates it.
+async function runInstalment(pool, plan, { processPurchase, getPricing }, options) {
+  const claim = await pool.query(
+    `INSERT INTO sip_runs (plan_id, instalment_at, attempt, status)
+     VALUES ($1, $2, $3, 'processing')
+     ON CONFLICT (plan_id) WHERE status = 'processing' DO NOTHING
+     RETURNING *`,
+    [plan.plan_id, plan.next_instalment_at, plan.retry_count + 1]
+  );
+  const run = claim.rows[0];
+  if (!run) return null;
+  
+  try {
+    // Amount plans spend the amount including the purchase charges
+    const pricing = await getPricing(plan.currency);
+    assertFreshPrice(pricing);
+    const goldAmount = plan.amount_type === 'grams'
+      ? parseFloat(plan.amount)
+      : gramsForAmount(await loadPricingRules(pool), {
+        amount: parseFloat(plan.amount),
+        pricePerGram: pricing.price_per_gram,
+        fxRate: pricing.fx_rate,
+        currency: pricing.currency
+      });
+      
+    if (goldAmount <= 0) {
+      throw new Error(`Amount is too small to buy gold at ${pricing.currency} ${pricing.price_per_gram} per gram`);
+    }
+    
+    // Within the custom amount product's limits, per-user limit included
+    const { product } = await resolvePurchase(pool, { goldAmount: goldAmount });
+    
+    const { transaction } = await processPurchase(
+      plan.user_id,
+      goldAmount,
+      pricing.base_price_per_gram,
+      plan.payment_method,
+      { currency: pricing.currency, fxRate: pricing.fx_rate, product: product, sipRunId: run.id }
+    );
+    
+    await pool.query(
+      `UPDATE sip_runs SET gold_amount = $1, price_per_gram = $2, amount = $3
+       WHERE id = $4`,
+      [goldAmount, pricing.price_per_gram, transaction.settlement_amount, run.id]
+    );
+    await pool.query('UPDATE sip_plans SET last_run_at = NOW() WHERE id = $1', [plan.id]);
+    
+    return { ...run, transaction_id: transaction.transaction_id };
+  } catch (error) {
+    console.error(`SIP ${plan.plan_id} instalment failed:`, error.message);
+    await pool.query('UPDATE sip_plans SET last_run_at = NOW() WHERE id = $1', [plan.id]);
+    await finishRun(pool, run.id, 'failed', error.message, options);
+    return { ...run, status: 'failed', error: error.message };
+  }
+}
+
+// One scheduler pass: settle runs whose payment has finished, time out runs
+// that have been processing too long, then start due instalments
+async function runDueSips(pool, deps, options = {}) {
+  const settings = {
+    maxRetries: options.maxRetries !== undefined ? options.maxRetries : 3,
+    retryDelaySeconds: options.retryDelaySeconds || 3600,
+    runTimeoutSeconds: options.runTimeoutSeconds || 3600,
+    batchSize: options.batchSize || 50
+  };
+  
+  const settled = await pool.query(
+    `SELECT r.id, t.status as transaction_status
+     FROM sip_runs r
+     JOIN transactions t ON r.transaction_id = t.transaction_id
+     WHERE r.status = 'processing' AND t.status <> 'pending'`
+  );
+  
+  for (const run of settled.rows) {
+    if (run.transaction_status === 'completed') {
+      await finishRun(pool, run.id, 'completed', null, settings);
+    } else {
+      await finishRun(pool, run.id, 'failed', `Payment ${run.transaction_status}`, settings);
+    }
+  }
+  
+  // A run stuck in processing (its payment never settled, or the purchase never
+  // got as far as a transaction) would block the plan. Its payment is failed, so
+  // a late webhook is ignored, and the run is retried like any other failure.
+  const stale = await pool.query(
+    `SELECT r.id, r.plan_id, pay.payment_id
+     FROM sip_runs r
+     LEFT JOIN transactions t ON r.transaction_id = t.transaction_id
+     LEFT JOIN payments pay ON pay.transaction_id = t.transaction_id AND pay.status = 'pending'
+     WHERE r.status = 'processing' AND r.created_at <= NOW() - make_interval(secs => $1)
+     AND (t.transaction_id IS NULL OR t.status = 'pending')`,
+    [settings.runTimeoutSeconds]
+  );
+  
+  for (const run of stale.rows) {
+    if (run.payment_id) {
+      const settlement = await deps.settlePayment({
+        payment_id: run.payment_id,
+        status: 'failed',
+        failure_reason: 'SIP instalment timed out'
+      });
+      // Settled by its webhook in the meantime; the next pass picks it up
+      if (settlement.duplicate) continue;
+    }
+    console.error(`SIP ${run.plan_id} instalment timed out after ${settings.runTimeoutSeconds}s`);
+    await finishRun(pool, run.id, 'failed', 'Instalment timed out', settings);
+  }
+  
+  const due = await pool.query(
+    `SELECT p.* FROM sip_plans p
+     WHERE p.status = 'active' AND p.next_run_at <= NOW()
+     AND NOT EXISTS (SELECT 1 FROM sip_runs r WHERE r.plan_id = p.plan_id AND r.status = 'processing')
+     ORDER BY p.next_run_at
+     LIMIT $1`,
+    [settings.batchSize]
+  );
+  
+  const started = [];
+  for (const plan of due.rows) {
+    const run = await runInstalment(pool, plan, deps, settings);
+    if (run) started.push(run);
+  }
+  
+  return { settled: settled.rows.length, started: started };
+}
+
+// Run runDueSips on a timer. Returns a handle with the latest status and stop().
+function startSipScheduler(pool, deps, options = {}) {
+  const intervalMs = options.intervalMs || 60000;
+  const status = {
+    interval_ms: intervalMs,
+    last_run_at: null,
+    last_started: 0,
+    last_settled: 0,
+    last_error: null
+  };
+  let running = false;
+  
+  const run = async () => {
+    if (running) return;
+    running = true;
+    status.last_run_at = new Date().toISOString();
+    try {
+      const result = await runDueSips(pool, deps, options);
+      status.last_started = result.started.length;
+      status.last_settled = result.settled;
+      status.last_error = null;
+    } catch (error) {
+      status.last_error = error.message;
+      console.error('SIP scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  
+  return {
+    status: status,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  createSipRouter,
+  getNextInstalment,
+  runDueSips,
+  startSipScheduler
+};
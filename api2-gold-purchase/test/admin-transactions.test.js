@@ -0,0 +1,147 @@
+// api2-gold-purchase/test/admin-transactions.test.js
+// Admin transaction status changes and the payment webhook. Uses the database
+// at DATABASE_URL (docker compose up postgres).
+const request = require('supertest');
+const { signWebhookPayload } = require('../payments');
+const { createSessionService } = require('goldapi-shared/session');
+
+// Keep the pools the app opens so they can be closed after the tests
+const mockPools = [];
+jest.mock('goldapi-shared/db', () => {
+  const actual = jest.requireActual('goldapi-shared/db');
+  return {
+    ...actual,
+    createPool: (...args) => {
+      const pool = actual.createPool(...args);
+      mockPools.push(pool);
+      return pool;
+    }
+  };
+});
+
+describe('PATCH /api/admin/transactions/:transactionId/status', () => {
+  let app;
+  let pool;
+  let sessions;
+  let adminToken;
+  
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || 'test-internal-token';
+    process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
+    process.env.INVOICE_SIGNING_SECRET = process.env.INVOICE_SIGNING_SECRET || 'test-invoice-secret';
+    delete process.env.PAYMENT_MOCK_WEBHOOK_URL; // the test sends the webhooks
+    app = require('../server');
+    pool = mockPools[0];
+    sessions = createSessionService(pool);
+    
+    const admin = await registerUser('admin');
+    await pool.query("UPDATE users SET role = 'admin' WHERE id = $1", [admin.user.id]);
+    adminToken = admin.access_token;
+  });
+  
+  afterAll(async () => {
+    await Promise.all(mockPools.map(pool => pool.end()));
+  });
+  
+  // Register a user and return { user, access_token }
+  async function registerUser(name) {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: `Admin Test ${name}`,
+        email: `admin-test-${name}-${Date.now()}@example.com`,
+        password: 'admin-test-password'
+      });
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+  
+  // Quote and confirm 1 gram for a new user, leaving the payment pending
+  async function placePurchase() {
+    const buyer = await registerUser('buyer');
+    const auth = `Bearer ${buyer.access_token}`;
+    const session = await sessions.issue({ userId: buyer.user.id });
+    
+    const quote = await request(app)
+      .post('/api/purchase/quote')
+      .set('Authorization', auth)
+      .send({ session_token: session.token, gold_amount: 1 });
+    expect(quote.status).toBe(200);
+    
+    const confirm = await request(app)
+      .post('/api/purchase/confirm')
+      .set('Authorization', auth)
+      .send({ session_token: session.token, quote_id: quote.body.quote_id });
+    expect(confirm.status).toBe(202);
+    expect(confirm.body.payment.status).toBe('pending');
+    
+    return { transactionId: confirm.body.transaction_id, payment: confirm.body.payment };
+  }
+  
+  // Send a signed payment.succeeded webhook for the payment
+  function sendSuccessWebhook(payment) {
+    const body = JSON.stringify({
+      id: `evt_${payment.payment_id}`,
+      type: 'payment.succeeded',
+      data: { payment_id: payment.payment_id, amount: payment.amount, currency: payment.currency }
+    });
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Payment-Signature', signWebhookPayload(body, process.env.PAYMENT_WEBHOOK_SECRET))
+      .send(body);
+  }
+  
+  // Move the transaction to status as the admin
+  function changeStatus(transactionId, status) {
+    return request(app)
+      .patch(`/api/admin/transactions/${transactionId}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: status, reason: 'Customer called support' });
+  }
+  
+  // The stored transaction and payment status
+  async function loadStatuses(transactionId) {
+    const result = await pool.query(
+      `SELECT t.status as transaction_status, p.status as payment_status, p.failure_reason
+       FROM transactions t JOIN payments p ON p.transaction_id = t.transaction_id
+       WHERE t.transaction_id = $1`,
+      [transactionId]
+    );
+    return result.rows[0];
+  }
+  
+  test('a payment webhook after an admin cancel leaves the purchase cancelled', async () => {
+    const { transactionId, payment } = await placePurchase();
+    
+    const cancel = await changeStatus(transactionId, 'cancelled');
+    expect(cancel.status).toBe(200);
+    expect(cancel.body.settled_payments).toEqual([{ payment_id: payment.payment_id, status: 'failed' }]);
+    
+    const webhook = await sendSuccessWebhook(payment);
+    expect(webhook.status).toBe(200);
+    expect(webhook.body.duplicate).toBe(true);
+    expect(webhook.body.payment_status).toBe('failed');
+    
+    expect(await loadStatuses(transactionId)).toEqual({
+      transaction_status: 'cancelled',
+      payment_status: 'failed',
+      failure_reason: 'Transaction cancelled by an admin: Customer called support'
+    });
+  });
+  
+  test('an admin complete marks the pending payment succeeded', async () => {
+    const { transactionId, payment } = await placePurchase();
+    
+    const complete = await changeStatus(transactionId, 'completed');
+    expect(complete.status).toBe(200);
+    expect(complete.body.settled_payments).toEqual([{ payment_id: payment.payment_id, status: 'succeeded' }]);
+    
+    expect(await loadStatuses(transactionId)).toEqual({
+      transaction_status: 'completed',
+      payment_status: 'succeeded',
+      failure_reason: null
+    });
+  });
+});
@@ -0,0 +1,32 @@
+// api2-gold-purchase/test/mock-price-server.js
+// Local HTTP price feed for tests: serves whatever tick (or status) the test
+// sets, in the JSON shape the http price provider reads
+const http = require('http');
+
+async function startMockPriceServer() {
+  const state = { status: 200, body: null, delayMs: 0, requests: 0 };
+  
+  const server = http.createServer((req, res) => {
+    state.requests++;
+    setTimeout(() => {
+      res.writeHead(state.status, { 'Content-Type': 'application/json' });
+      res.end(typeof state.body === 'string' ? state.body : JSON.stringify(state.body));
+    }, state.delayMs);
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}/price`,
+    state: state,
+    setTick: (tick) => { state.status = 200; state.body = tick; },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  startMockPriceServer
+};
@@ -0,0 +1,295 @@
+// api2-gold-purchase/test/price-feed.test.js
+// Price providers against a local mock feed, and the ingester's guards
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockPriceServer } = require('./mock-price-server');
+const {
+  createFilePriceProvider,
+  createHttpPriceProvider,
+  createPriceProvider,
+  ingestPriceTick,
+  startPriceIngestion
+} = require('../price-feed');
+const { createPricing, assertFreshPrice } = require('goldapi-shared/pricing');
+
+// In-memory gold_prices table answering the queries the ingester and pricing run
+function createPricePool(rows = []) {
+  return {
+    rows: rows,
+    async query(sql, params) {
+      if (sql.startsWith('INSERT INTO gold_prices')) {
+        const [price, currency, source, createdAt] = params;
+        const row = { price_per_gram: price.toFixed(2), currency, source, created_at: createdAt };
+        rows.push(row);
+        return { rows: [row] };
+      }
+      
+      const latest = rows
+        .filter(row => row.currency === params[0])
+        .sort((a, b) => b.created_at - a.created_at);
+      return { rows: latest.slice(0, 1) };
+    }
+  };
+}
+
+// A provider returning the given ticks in turn
+function createListProvider(ticks) {
+  let index = 0;
+  return {
+    name: 'test_feed',
+    async fetchPrice() {
+      return ticks[Math.min(index++, ticks.length - 1)];
+    }
+  };
+}
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+const tick = (price, ageSeconds = 0) => ({ price_per_gram: price, currency: 'INR', timestamp: secondsAgo(ageSeconds) });
+
+describe('http price provider', () => {
+  let feed;
+  
+  beforeEach(async () => {
+    feed = await startMockPriceServer();
+  });
+  
+  afterEach(async () => {
+    await feed.close();
+  });
+  
+  test('reads a tick from the feed', async () => {
+    feed.setTick({ price_per_gram: '10550.257', currency: 'inr', timestamp: '2025-01-01T10:00:00Z' });
+    
+    const provider = createPriceProvider({ PRICE_FEED_PROVIDER: 'http', PRICE_FEED_URL: feed.url });
+    
+    expect(provider.name).toBe('http_feed');
+    expect(await provider.fetchPrice()).toEqual({
+      price_per_gram: 10550.26,
+      currency: 'INR',
+      timestamp: new Date('2025-01-01T10:00:00Z')
+    });
+  });
+  
+  test('stamps ticks without a timestamp with the fetch time', async () => {
+    feed.setTick({ price_per_gram: 10500 });
+    
+    const before = Date.now();
+    const result = await createHttpPriceProvider(feed.url).fetchPrice();
+    
+    expect(result.timestamp.getTime()).toBeGreaterThanOrEqual(before);
+    expect(result.currency).toBe('INR');
+  });
+  
+  test('fails on HTTP errors, invalid ticks and timeouts', async () => {
+    const provider = createHttpPriceProvider(feed.url, 200);
+    
+    feed.state.status = 503;
+    feed.state.body = { error: 'down' };
+    await expect(provider.fetchPrice()).rejects.toThrow('HTTP 503');
+    
+    feed.setTick({ price_per_gram: -1 });
+    await expect(provider.fetchPrice()).rejects.toThrow('no valid price_per_gram');
+    
+    feed.setTick({ price_per_gram: 10500, timestamp: 'yesterday' });
+    await expect(provider.fetchPrice()).rejects.toThrow('invalid timestamp');
+    
+    feed.setTick({ price_per_gram: 10500 });
+    feed.state.delayMs = 1000;
+    await expect(provider.fetchPrice()).rejects.toThrow();
+  });
+});
+
+describe('file price provider', () => {
+  let dir;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-feed-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('reads a tick, timestamped with the file mtime by default', async () => {
+    const filePath = path.join(dir, 'price.json');
+    fs.writeFileSync(filePath, JSON.stringify({ price_per_gram: 10480.5, currency: 'USD' }));
+    const mtime = new Date('2025-03-01T09:30:00Z');
+    fs.utimesSync(filePath, mtime, mtime);
+    
+    const provider = createPriceProvider({ PRICE_FEED_PROVIDER: 'file', PRICE_FEED_FILE: filePath });
+    
+    expect(provider.name).toBe('file_feed');
+    expect(await provider.fetchPrice()).toEqual({ price_per_gram: 10480.5, currency: 'USD', timestamp: mtime });
+  });
+  
+  test('fails on a missing file or invalid JSON', async () => {
+    await expect(createFilePriceProvider(path.join(dir, 'missing.json')).fetchPrice()).rejects.toThrow();
+    
+    const filePath = path.join(dir, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    await expect(createFilePriceProvider(filePath).fetchPrice()).rejects.toThrow();
+  });
+});
+
+describe('createPriceProvider', () => {
+  test('is disabled without PRICE_FEED_PROVIDER', () => {
+    expect(createPriceProvider({})).toBeNull();
+    expect(createPriceProvider({ PRICE_FEED_PROVIDER: 'none' })).toBeNull();
+  });
+  
+  test('rejects unknown providers and missing settings', () => {
+    expect(() => createPriceProvider({ PRICE_FEED_PROVIDER: 'ftp' })).toThrow('Unknown price provider');
+    expect(() => createPriceProvider({ PRICE_FEED_PROVIDER: 'http' })).toThrow('PRICE_FEED_URL');
+    expect(() => createPriceProvider({ PRICE_FEED_PROVIDER: 'file' })).toThrow('PRICE_FEED_FILE');
+  });
+});
+
+describe('ingestPriceTick', () => {
+  const options = { maxAgeSeconds: 300, maxJumpPercent: 5, reanchorTicks: 3 };
+  
+  test('stores a fresh tick', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    
+    const result = await ingestPriceTick(pool, createListProvider([tick(10600)]), options);
+    
+    expect(result.accepted).toBe(true);
+    expect(result.reanchored).toBeNull();
+    expect(pool.rows).toHaveLength(2);
+    expect(pool.rows[1]).toMatchObject({ price_per_gram: '10600.00', source: 'test_feed' });
+  });
+  
+  test('rejects a stale tick', async () => {
+    const pool = createPricePool();
+    
+    const result = await ingestPriceTick(pool, createListProvider([tick(10500, 600)]), options);
+    
+    expect(result.accepted).toBe(false);
+    expect(result.reason).toMatch(/stale tick/);
+    expect(pool.rows).toHaveLength(0);
+  });
+  
+  test('skips a tick that is not newer than the last one', async () => {
+    const lastAt = secondsAgo(30);
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: lastAt }]);
+    
+    const result = await ingestPriceTick(pool, createListProvider([{ ...tick(10500), timestamp: lastAt }]), options);
+    
+    expect(result).toMatchObject({ accepted: false, duplicate: true });
+  });
+  
+  test('rejects a single jump beyond the limit', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    
+    const result = await ingestPriceTick(pool, createListProvider([tick(12000)]), { ...options, state: {} });
+    
+    expect(result.accepted).toBe(false);
+    expect(result.reason).toMatch(/price moved 14\.29%/);
+    expect(pool.rows).toHaveLength(1);
+  });
+  
+  test('re-anchors after consecutive ticks agree on the new level', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    const provider = createListProvider([tick(12000, 3), tick(12050, 2), tick(11990, 1)]);
+    const state = {};
+    
+    const first = await ingestPriceTick(pool, provider, { ...options, state });
+    const second = await ingestPriceTick(pool, provider, { ...options, state });
+    const third = await ingestPriceTick(pool, provider, { ...options, state });
+    
+    expect([first.accepted, second.accepted, third.accepted]).toEqual([false, false, true]);
+    expect(third.reanchored).toMatch(/3 consecutive ticks/);
+    expect(state.jumpTicks).toEqual([]);
+    expect(pool.rows[pool.rows.length - 1].price_per_gram).toBe('11990.00');
+  });
+  
+  test('does not re-anchor on outliers that disagree with each other', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    const provider = createListProvider([tick(12000, 3), tick(9000, 2), tick(12000, 1)]);
+    const state = {};
+    
+    for (let i = 0; i < 3; i++) {
+      expect((await ingestPriceTick(pool, provider, { ...options, state })).accepted).toBe(false);
+    }
+    expect(pool.rows).toHaveLength(1);
+  });
+  
+  test('a tick within the limit clears the run of rejected ticks', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    const provider = createListProvider([tick(12000, 4), tick(12000, 3), tick(10510, 2), tick(12000, 1)]);
+    const state = {};
+    
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push((await ingestPriceTick(pool, provider, { ...options, state })).accepted);
+    }
+    
+    expect(results).toEqual([false, false, true, false]);
+    expect(state.jumpTicks).toHaveLength(1);
+  });
+  
+  test('re-anchors at once when the last good tick is older than the staleness window', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(3600) }]);
+    
+    const result = await ingestPriceTick(pool, createListProvider([tick(12000)]), options);
+    
+    expect(result.accepted).toBe(true);
+    expect(result.reanchored).toMatch(/last good tick is \d+s old/);
+  });
+});
+
+describe('startPriceIngestion', () => {
+  test('keeps the last good price when the feed fails', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    const provider = { name: 'test_feed', fetchPrice: async () => { throw new Error('feed unreachable'); } };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const ingestion = startPriceIngestion(pool, provider, { intervalMs: 60000 });
+    await new Promise(resolve => setImmediate(resolve));
+    ingestion.stop();
+    console.error.mockRestore();
+    
+    expect(ingestion.status.last_error).toBe('feed unreachable');
+    expect(ingestion.status.last_accepted_at).toBeNull();
+    expect(pool.rows).toHaveLength(1);
+  });
+});
+
+describe('pricing fallback and staleness', () => {
+  test('uses the last stored tick, else GOLD_PRICE_PER_GRAM', async () => {
+    const pool = createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]);
+    
+    expect((await createPricing(pool, {}).getBasePrice()).price_per_gram).toBe(10500);
+    expect(await createPricing(createPricePool(), { GOLD_PRICE_PER_GRAM: '9900' }).getBasePrice())
+      .toEqual({ price_per_gram: 9900, last_updated: null, stale: false });
+  });
+  
+  test('falls back when the database is unavailable', async () => {
+    const pool = { query: async () => { throw new Error('connection refused'); } };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    expect((await createPricing(pool, {}).getBasePrice()).price_per_gram).toBe(10500);
+    console.error.mockRestore();
+  });
+  
+  test('marks prices older than PRICE_MAX_AGE_SECONDS as stale', async () => {
+    const env = { PRICE_MAX_AGE_SECONDS: '600' };
+    const fresh = createPricing(createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(60) }]), env);
+    const old = createPricing(createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(3600) }]), env);
+    
+    expect((await fresh.getPricing()).stale).toBe(false);
+    expect((await old.getPricing()).stale).toBe(true);
+    expect((await createPricing(createPricePool(), env).getPricing()).stale).toBe(true);
+    
+    const freshPricing = await fresh.getPricing();
+    const oldPricing = await old.getPricing();
+    expect(() => assertFreshPrice(freshPricing)).not.toThrow();
+    expect(() => assertFreshPrice(oldPricing)).toThrow(expect.objectContaining({ code: 'STALE_PRICE' }));
+  });
+  
+  test('never marks prices stale without PRICE_MAX_AGE_SECONDS', async () => {
+    const pricing = createPricing(createPricePool([{ price_per_gram: '10500.00', currency: 'INR', created_at: secondsAgo(86400) }]), {});
+    
+    expect((await pricing.getPricing()).stale).toBe(false);
+  });
+});
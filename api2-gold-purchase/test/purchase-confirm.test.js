@@ -0,0 +1,105 @@
+// api2-gold-purchase/test/purchase-confirm.test.js
+// POST /api/purchase/confirm when the payment gateway is down. Uses the
+// database at DATABASE_URL (docker compose up postgres).
+const request = require('supertest');
+const { createSessionService } = require('goldapi-shared/session');
+
+// Keep the pools the app opens so they can be closed after the tests
+const mockPools = [];
+jest.mock('goldapi-shared/db', () => {
+  const actual = jest.requireActual('goldapi-shared/db');
+  return {
+    ...actual,
+    createPool: (...args) => {
+      const pool = actual.createPool(...args);
+      mockPools.push(pool);
+      return pool;
+    }
+  };
+});
+
+// Keep the app's payment gateway so a test can make it fail
+const mockGateways = [];
+jest.mock('../payments', () => {
+  const actual = jest.requireActual('../payments');
+  return {
+    ...actual,
+    createPaymentGateway: (...args) => {
+      const gateway = actual.createPaymentGateway(...args);
+      mockGateways.push(gateway);
+      return gateway;
+    }
+  };
+});
+
+describe('POST /api/purchase/confirm', () => {
+  let app;
+  let pool;
+  let sessions;
+  
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    process.env.INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || 'test-internal-token';
+    process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
+    process.env.INVOICE_SIGNING_SECRET = process.env.INVOICE_SIGNING_SECRET || 'test-invoice-secret';
+    delete process.env.PAYMENT_MOCK_WEBHOOK_URL; // leave the payments pending
+    app = require('../server');
+    pool = mockPools[0];
+    sessions = createSessionService(pool);
+  });
+  
+  afterAll(async () => {
+    await Promise.all(mockPools.map(pool => pool.end()));
+  });
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('a gateway failure keeps the session and quote for a retry', async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Gateway Test', email: `gateway-test-${Date.now()}@example.com`, password: 'gateway-test-password' });
+    expect(register.status).toBe(201);
+    const auth = `Bearer ${register.body.access_token}`;
+    const session = await sessions.issue({ userId: register.body.user.id });
+    
+    const quote = await request(app)
+      .post('/api/purchase/quote')
+      .set('Authorization', auth)
+      .send({ session_token: session.token, gold_amount: 1 });
+    expect(quote.status).toBe(200);
+    
+    const confirm = () => request(app)
+      .post('/api/purchase/confirm')
+      .set('Authorization', auth)
+      .set('Idempotency-Key', `gateway-test-${quote.body.quote_id}`)
+      .send({ session_token: session.token, quote_id: quote.body.quote_id });
+      
+    jest.spyOn(mockGateways[0], 'createPayment').mockRejectedValueOnce(new Error('Gateway timeout'));
+    const failed = await confirm();
+    expect(failed.status).toBe(502);
+    
+    const failedTransaction = await pool.query(
+      `SELECT t.status as transaction_status, p.status as payment_status
+       FROM payments p JOIN transactions t ON t.transaction_id = p.transaction_id
+       WHERE t.user_id = $1`,
+      [register.body.user.id]
+    );
+    expect(failedTransaction.rows).toEqual([{ transaction_status: 'failed', payment_status: 'failed' }]);
+    
+    const retried = await confirm();
+    expect(retried.status).toBe(202);
+    expect(retried.body.payment.status).toBe('pending');
+    
+    const quoteResult = await pool.query(
+      'SELECT status, transaction_id FROM price_quotes WHERE quote_id = $1',
+      [quote.body.quote_id]
+    );
+    expect(quoteResult.rows[0]).toEqual({ status: 'used', transaction_id: retried.body.transaction_id });
+  });
+});
@@ -0,0 +1,87 @@
+// api2-gold-purchase/visitors.js
+// Anonymous visitors: the gold information API issues each anonymous chat user a
+// visitor token; once they sign up or start a purchase, their earlier
+// conversations, sessions and analytics events are merged into the user record
+const jwt = require('jsonwebtoken');
+const { loadJwtSecret } = require('goldapi-shared/session');
+const { recordEvent } = require('./analytics');
+
+// Visitor id from a visitor token, or null if it is missing or invalid
+function verifyVisitorToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  
+  try {
+    const decoded = jwt.verify(token, loadJwtSecret(process.env));
+    return decoded.type === 'visitor' && decoded.sub ? decoded.sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Link a visitor to a user and assign them the visitor's anonymous rows. A
+// visitor linked to another user is left alone. Returns the number of rows
+// moved, or null if the visitor cannot be linked to this user.
+async function linkVisitor(pool, visitorId, userId, source) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      'SELECT user_id FROM visitors WHERE visitor_id = $1 FOR UPDATE',
+      [visitorId]
+    );
+    const linkedUserId = existing.rows.length > 0 ? existing.rows[0].user_id : null;
+    
+    if (linkedUserId !== null && linkedUserId !== userId) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    if (linkedUserId === null) {
+      // A visitor row created meanwhile may already belong to someone else
+      const claimed = await client.query(
+        `INSERT INTO visitors (visitor_id, user_id, linked_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (visitor_id) DO UPDATE SET user_id = EXCLUDED.user_id, linked_at = NOW()
+         WHERE visitors.user_id IS NULL`,
+        [visitorId, userId]
+      );
+      if (claimed.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    }
+    
+    const merge = (table) => client.query(
+      `UPDATE ${table} SET user_id = $1 WHERE visitor_id = $2 AND user_id IS NULL`,
+      [userId, visitorId]
+    );
+    const counts = {
+      conversations: (await merge('conversations')).rowCount,
+      sessions: (await merge('sessions')).rowCount,
+      analytics_events: (await merge('analytics_events')).rowCount
+    };
+    
+    // Relinking to the same user is only recorded when it moved something
+    if (linkedUserId === null || Object.values(counts).some(count => count > 0)) {
+      await recordEvent(client, 'visitor_linked', {
+        userId: userId,
+        visitorId: visitorId,
+        metadata: { source: source, ...counts }
+      });
+    }
+    
+    await client.query('COMMIT');
+    return counts;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  verifyVisitorToken,
+  linkVisitor
+};
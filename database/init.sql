@@ -10,46 +10,241 @@ CREATE TABLE IF NOT EXISTS users (
     name VARCHAR(100) NOT NULL,
     email VARCHAR(100) UNIQUE NOT NULL,
     phone VARCHAR(20),
+    password_hash VARCHAR(255),
+    role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Refresh Tokens Table (JWT refresh token ids, for rotation and revocation)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    token_id UUID UNIQUE NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- OTP Codes Table (hashed one-time login codes)
+CREATE TABLE IF NOT EXISTS otp_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Visitors Table (anonymous chat visitors, linked to a user once they sign up or purchase)
+CREATE TABLE IF NOT EXISTS visitors (
+    id SERIAL PRIMARY KEY,
+    visitor_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    linked_at TIMESTAMP
+);
+
+-- Products Table (the gold packs on sale, managed through /api/admin/products).
+-- A pack has a fixed gold_amount; a custom product (gold_amount NULL) lets the
+-- user choose any amount between min_amount and max_amount.
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    product_id VARCHAR(50) UNIQUE NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    description TEXT,
+    gold_amount DECIMAL(10,4) CHECK (gold_amount > 0),
+    min_amount DECIMAL(10,4) NOT NULL CHECK (min_amount > 0),
+    max_amount DECIMAL(10,4) NOT NULL,
+    popular BOOLEAN DEFAULT FALSE,
+    promo_label VARCHAR(100),
+    available_from TIMESTAMP, -- time-boxed offers: on sale from/until (NULL: open-ended)
+    available_until TIMESTAMP,
+    per_user_limit DECIMAL(10,4) CHECK (per_user_limit > 0), -- grams one user may buy
+    per_user_limit_days INTEGER CHECK (per_user_limit_days > 0), -- over this many days (NULL: ever)
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (max_amount >= min_amount),
+    CHECK (gold_amount IS NULL OR gold_amount BETWEEN min_amount AND max_amount),
+    CHECK (available_from IS NULL OR available_until IS NULL OR available_until > available_from)
+);
+
+-- Pricing Rules Table (spread, fees and tax on trades, see goldapi-shared/charges).
+-- Rules for a product replace the general rules of the same component.
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    id SERIAL PRIMARY KEY,
+    rule_id VARCHAR(50) UNIQUE NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    component VARCHAR(10) NOT NULL CHECK (component IN ('spread', 'fee', 'tax')),
+    transaction_type VARCHAR(10) NOT NULL CHECK (transaction_type IN ('buy', 'sell')),
+    product_id VARCHAR(50) REFERENCES products(product_id), -- NULL: every product
+    percent DECIMAL(6,3) NOT NULL DEFAULT 0 CHECK (percent >= 0 AND percent < 100),
+    flat_amount DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (flat_amount >= 0), -- base currency, per trade
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (component <> 'spread' OR flat_amount = 0) -- spreads move the price per gram
+);
+
 -- Transactions Table
 CREATE TABLE IF NOT EXISTS transactions (
     id SERIAL PRIMARY KEY,
     transaction_id VARCHAR(50) UNIQUE NOT NULL DEFAULT ('TXN' || LPAD(nextval('transactions_id_seq')::text, 6, '0')),
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    transaction_type VARCHAR(10) DEFAULT 'buy' CHECK (transaction_type IN ('buy', 'sell')),
     gold_amount DECIMAL(10,4) NOT NULL CHECK (gold_amount > 0),
     price_per_gram DECIMAL(10,2) NOT NULL CHECK (price_per_gram > 0),
     total_amount DECIMAL(12,2) NOT NULL CHECK (total_amount > 0),
-    status VARCHAR(20) DEFAULT 'completed' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
+    settlement_currency VARCHAR(3) DEFAULT 'INR',
+    fx_rate DECIMAL(18,8) DEFAULT 1 CHECK (fx_rate > 0),
+    settlement_amount DECIMAL(14,2),
+    price_breakdown JSONB, -- base, spread, fee, tax and total in the settlement currency
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
     payment_method VARCHAR(50) DEFAULT 'digital',
+    product_id VARCHAR(50) REFERENCES products(product_id), -- purchases only
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payments Table (one gateway payment per purchase; the webhook settles it)
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    payment_id VARCHAR(50) UNIQUE NOT NULL,
+    transaction_id VARCHAR(50) NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_reference VARCHAR(100),
+    method VARCHAR(50) NOT NULL,
+    amount DECIMAL(14,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    failure_reason TEXT,
+    last_event_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SIP Plans Table (recurring purchases of a fixed amount or weight)
+CREATE TABLE IF NOT EXISTS sip_plans (
+    id SERIAL PRIMARY KEY,
+    plan_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    amount_type VARCHAR(10) NOT NULL CHECK (amount_type IN ('amount', 'grams')),
+    amount DECIMAL(12,4) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'INR',
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    payment_method VARCHAR(50) DEFAULT 'digital',
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+    start_at TIMESTAMP NOT NULL,
+    next_instalment_at TIMESTAMP NOT NULL,
+    next_run_at TIMESTAMP NOT NULL,
+    retry_count INTEGER DEFAULT 0,
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SIP Runs Table (one row per instalment attempt or skip)
+CREATE TABLE IF NOT EXISTS sip_runs (
+    id SERIAL PRIMARY KEY,
+    plan_id VARCHAR(50) NOT NULL REFERENCES sip_plans(plan_id) ON DELETE CASCADE,
+    instalment_at TIMESTAMP NOT NULL,
+    attempt INTEGER DEFAULT 1,
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed', 'skipped')),
+    transaction_id VARCHAR(50) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    gold_amount DECIMAL(10,4),
+    price_per_gram DECIMAL(10,2),
+    amount DECIMAL(14,2),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
 -- Sessions Table (for API communication)
 CREATE TABLE IF NOT EXISTS sessions (
     id SERIAL PRIMARY KEY,
     session_token VARCHAR(500) UNIQUE NOT NULL,
+    session_id VARCHAR(64),
+    key_id VARCHAR(50), -- signing key (kid) the token was issued with
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    visitor_id VARCHAR(50),
     intent_confirmed BOOLEAN DEFAULT FALSE,
     user_message TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP NOT NULL,
-    is_active BOOLEAN DEFAULT TRUE
+    is_active BOOLEAN DEFAULT TRUE,
+    revoked_at TIMESTAMP
+);
+
+-- Price Quotes Table (locks a price between quote and purchase confirmation)
+CREATE TABLE IF NOT EXISTS price_quotes (
+    id SERIAL PRIMARY KEY,
+    quote_id VARCHAR(50) UNIQUE NOT NULL,
+    session_token VARCHAR(500) REFERENCES sessions(session_token) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    product_id VARCHAR(50) REFERENCES products(product_id),
+    gold_amount DECIMAL(10,4) NOT NULL CHECK (gold_amount > 0),
+    price_per_gram DECIMAL(10,2) NOT NULL CHECK (price_per_gram > 0),
+    total_amount DECIMAL(12,2) NOT NULL CHECK (total_amount > 0),
+    currency VARCHAR(3) DEFAULT 'INR',
+    fx_rate DECIMAL(18,8) DEFAULT 1 CHECK (fx_rate > 0),
+    base_price_per_gram DECIMAL(10,2) NOT NULL CHECK (base_price_per_gram > 0),
+    base_total_amount DECIMAL(12,2) NOT NULL CHECK (base_total_amount > 0),
+    price_breakdown JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'used')),
+    transaction_id VARCHAR(50) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Idempotency Keys Table (deduplicates retried purchase and sale confirmations)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    idempotency_key VARCHAR(255) NOT NULL,
+    endpoint VARCHAR(50) NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    locked_until TIMESTAMP NOT NULL, -- a processing key past this is taken over by the next retry
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE (idempotency_key, endpoint, user_id)
 );
 
--- Conversations Table (for OpenAI context and analytics)
+-- Conversation Threads Table (chat context is kept per thread; older messages
+-- are folded into summary once the thread gets long)
+CREATE TABLE IF NOT EXISTS conversation_threads (
+    id SERIAL PRIMARY KEY,
+    conversation_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200),
+    summary TEXT,
+    summarised_until INTEGER DEFAULT 0, -- conversations.id of the last message in summary
+    message_count INTEGER DEFAULT 0,
+    last_message_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Conversations Table (for LLM context and analytics)
 CREATE TABLE IF NOT EXISTS conversations (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    session_token VARCHAR(500) REFERENCES sessions(session_token) ON DELETE CASCADE,
+    thread_id INTEGER REFERENCES conversation_threads(id) ON DELETE CASCADE,
+    visitor_id VARCHAR(50),
+    session_token VARCHAR(500) REFERENCES sessions(session_token) ON DELETE SET NULL,
     user_message TEXT NOT NULL,
     ai_response TEXT NOT NULL,
     is_gold_related BOOLEAN DEFAULT FALSE,
     confidence_score DECIMAL(3,2),
-    openai_model VARCHAR(50),
+    llm_provider VARCHAR(20),
+    openai_model VARCHAR(50), -- model name of whichever provider answered
     tokens_used INTEGER,
     response_time_ms INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -64,6 +259,17 @@ CREATE TABLE IF NOT EXISTS gold_prices (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- FX Rates Table (units of quote_currency per 1 unit of base_currency)
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id SERIAL PRIMARY KEY,
+    base_currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    quote_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+    source VARCHAR(50) DEFAULT 'manual',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (base_currency, quote_currency)
+);
+
 -- User Preferences Table
 CREATE TABLE IF NOT EXISTS user_preferences (
     id SERIAL PRIMARY KEY,
@@ -71,32 +277,107 @@ CREATE TABLE IF NOT EXISTS user_preferences (
     preferred_currency VARCHAR(3) DEFAULT 'INR',
     investment_amount_preference DECIMAL(10,2),
     notification_enabled BOOLEAN DEFAULT TRUE,
+    notification_webhook_url VARCHAR(500),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Price Alerts Table (fires once per crossing; is_triggered re-arms when the condition clears)
+CREATE TABLE IF NOT EXISTS price_alerts (
+    id SERIAL PRIMARY KEY,
+    alert_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('price_below', 'price_above', 'change_up', 'change_down')),
+    threshold DECIMAL(12,4) NOT NULL CHECK (threshold > 0), -- price per gram, or percent for change alerts
+    currency VARCHAR(3) DEFAULT 'INR',
+    window_hours INTEGER DEFAULT 24 CHECK (window_hours BETWEEN 1 AND 720),
+    channels VARCHAR(20)[] DEFAULT ARRAY['in_app']::VARCHAR(20)[],
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+    is_triggered BOOLEAN DEFAULT FALSE,
+    trigger_count INTEGER DEFAULT 0,
+    last_triggered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications Table (one row per delivery; in_app rows are the user's inbox)
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL, -- 'in_app', 'email', 'webhook'
+    type VARCHAR(50) NOT NULL, -- 'price_alert'
+    title VARCHAR(200) NOT NULL,
+    body TEXT,
+    data JSONB,
+    dedupe_key VARCHAR(150) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    sent_at TIMESTAMP,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (channel, dedupe_key)
+);
+
 -- Analytics Table for tracking metrics
 CREATE TABLE IF NOT EXISTS analytics_events (
     id SERIAL PRIMARY KEY,
-    event_type VARCHAR(50) NOT NULL, -- 'query', 'purchase_intent', 'purchase_completed'
+    event_type VARCHAR(50) NOT NULL, -- funnel: 'chat_started', 'gold_intent', 'session_issued', 'purchase_initiated', 'quote_created', 'purchase_completed', 'purchase_failed'
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    visitor_id VARCHAR(50),
     session_token VARCHAR(500),
     metadata JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Admin Audit Log Table (append-only record of every admin action)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    admin_user_id INTEGER NOT NULL REFERENCES users(id),
+    action VARCHAR(50) NOT NULL, -- 'price_published', 'fx_rate_updated', 'transaction_status_changed'
+    target_type VARCHAR(50) NOT NULL,
+    target_id VARCHAR(100),
+    reason TEXT,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create Indexes for Performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_otp_codes_user_id ON otp_codes(user_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at);
+CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(transaction_type);
+CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
+CREATE INDEX IF NOT EXISTS idx_transactions_product_id ON transactions(product_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_payments_transaction_id ON payments(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_sip_plans_user_id ON sip_plans(user_id);
+CREATE INDEX IF NOT EXISTS idx_sip_plans_next_run_at ON sip_plans(next_run_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_sip_runs_plan_id ON sip_runs(plan_id);
+-- At most one in-flight run per plan; also serves as the scheduler's claim
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sip_runs_one_processing ON sip_runs(plan_id) WHERE status = 'processing';
 CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(session_token);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_visitor_id ON sessions(visitor_id);
+CREATE INDEX IF NOT EXISTS idx_visitors_user_id ON visitors(user_id);
+CREATE INDEX IF NOT EXISTS idx_price_quotes_session_token ON price_quotes(session_token);
+CREATE INDEX IF NOT EXISTS idx_conversation_threads_user_id ON conversation_threads(user_id, last_message_at);
 CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_thread_id ON conversations(thread_id, id);
+CREATE INDEX IF NOT EXISTS idx_conversations_visitor_id ON conversations(visitor_id);
 CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at);
 CREATE INDEX IF NOT EXISTS idx_conversations_is_gold_related ON conversations(is_gold_related);
 CREATE INDEX IF NOT EXISTS idx_gold_prices_created_at ON gold_prices(created_at);
+CREATE INDEX IF NOT EXISTS idx_price_alerts_user_id ON price_alerts(user_id);
+CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(status) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, channel, created_at);
 CREATE INDEX IF NOT EXISTS idx_analytics_events_type ON analytics_events(event_type);
 CREATE INDEX IF NOT EXISTS idx_analytics_events_created_at ON analytics_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_visitor_id ON analytics_events(visitor_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_session_token ON analytics_events(session_token);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
 
 -- Create Functions for Automatic Timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -112,15 +393,69 @@ CREATE TRIGGER update_users_updated_at
     BEFORE UPDATE ON users 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_products_updated_at 
+    BEFORE UPDATE ON products 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_pricing_rules_updated_at 
+    BEFORE UPDATE ON pricing_rules 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_transactions_updated_at 
     BEFORE UPDATE ON transactions 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_payments_updated_at 
+    BEFORE UPDATE ON payments 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    
+CREATE TRIGGER update_sip_plans_updated_at 
+    BEFORE UPDATE ON sip_plans 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_user_preferences_updated_at 
     BEFORE UPDATE ON user_preferences 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Function to clean expired sessions
+CREATE TRIGGER update_price_alerts_updated_at 
+    BEFORE UPDATE ON price_alerts 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_conversation_threads_updated_at 
+    BEFORE UPDATE ON conversation_threads 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Announce new gold prices so api2 can evaluate price alerts (LISTEN gold_price_inserted)
+CREATE OR REPLACE FUNCTION notify_gold_price_inserted()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_notify('gold_price_inserted', json_build_object('id', NEW.id, 'currency', NEW.currency)::text);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER gold_prices_notify_insert
+    AFTER INSERT ON gold_prices
+    FOR EACH ROW EXECUTE FUNCTION notify_gold_price_inserted();
+
+-- Keep the admin audit log immutable
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER admin_audit_log_immutable
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+    
+CREATE TRIGGER admin_audit_log_no_truncate
+    BEFORE TRUNCATE ON admin_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+    
+-- Function to clean expired sessions (run periodically by the purchase API);
+-- quotes and conversations keep their rows with session_token set to NULL
 CREATE OR REPLACE FUNCTION clean_expired_sessions()
 RETURNS INTEGER AS $$
 DECLARE
@@ -138,17 +473,33 @@ SELECT
     u.id as user_id,
     u.name,
     u.email,
-    COUNT(c.id) as total_conversations,
-    COUNT(c.id) FILTER (WHERE c.is_gold_related = true) as gold_conversations,
-    COUNT(t.id) as total_purchases,
-    COALESCE(SUM(t.total_amount), 0) as total_spent,
-    COALESCE(SUM(t.gold_amount), 0) as total_gold_purchased,
+    COALESCE(c.total_conversations, 0) as total_conversations,
+    COALESCE(c.gold_conversations, 0) as gold_conversations,
+    COALESCE(t.total_purchases, 0) as total_purchases,
+    COALESCE(t.total_spent, 0) as total_spent,
+    COALESCE(t.total_gold_purchased, 0) as total_gold_purchased,
+    COALESCE(t.total_gold_sold, 0) as total_gold_sold,
     u.created_at as user_since,
-    MAX(c.created_at) as last_conversation
+    c.last_conversation
 FROM users u
-LEFT JOIN conversations c ON u.id = c.user_id
-LEFT JOIN transactions t ON u.id = t.user_id
-GROUP BY u.id, u.name, u.email, u.created_at;
+-- Aggregate each side separately so conversations and transactions do not multiply
+LEFT JOIN (
+    SELECT user_id,
+        COUNT(*) as total_conversations,
+        COUNT(*) FILTER (WHERE is_gold_related = true) as gold_conversations,
+        MAX(created_at) as last_conversation
+    FROM conversations
+    GROUP BY user_id
+) c ON c.user_id = u.id
+LEFT JOIN (
+    SELECT user_id,
+        COUNT(*) FILTER (WHERE transaction_type = 'buy' AND status = 'completed') as total_purchases,
+        SUM(total_amount) FILTER (WHERE transaction_type = 'buy' AND status = 'completed') as total_spent,
+        SUM(gold_amount) FILTER (WHERE transaction_type = 'buy' AND status = 'completed') as total_gold_purchased,
+        SUM(gold_amount) FILTER (WHERE transaction_type = 'sell' AND status = 'completed') as total_gold_sold
+    FROM transactions
+    GROUP BY user_id
+) t ON t.user_id = u.id;
 
 -- Create a view for daily analytics
 CREATE OR REPLACE VIEW daily_analytics AS
@@ -168,6 +519,31 @@ INSERT INTO gold_prices (price_per_gram, currency, source)
 VALUES (10500.00, 'INR', 'initial_setup')
 ON CONFLICT DO NOTHING;
 
+-- Insert the initial product catalogue
+INSERT INTO products (product_id, label, description, gold_amount, min_amount, max_amount, popular, sort_order) VALUES
+('starter', 'Starter Pack', 'Perfect for beginners', 1, 1, 1, false, 1),
+('popular', 'Popular Choice', 'Most chosen by investors', 5, 5, 5, true, 2),
+('premium', 'Premium Investment', 'For serious investors', 10, 10, 10, false, 3),
+('custom', 'Custom Amount', 'Choose your own amount', NULL, 0.1, 1000, false, 4)
+ON CONFLICT (product_id) DO NOTHING;
+
+-- Insert the initial pricing rules: buy spread, platform fee and 3% GST on
+-- purchases, and the sell spread
+INSERT INTO pricing_rules (rule_id, label, component, transaction_type, percent) VALUES
+('buy-spread', 'Buy spread', 'spread', 'buy', 1.000),
+('platform-fee', 'Platform fee', 'fee', 'buy', 0.500),
+('gst', 'GST', 'tax', 'buy', 3.000),
+('sell-spread', 'Sell spread', 'spread', 'sell', 2.000)
+ON CONFLICT (rule_id) DO NOTHING;
+
+-- Insert initial FX rates
+INSERT INTO fx_rates (base_currency, quote_currency, rate, source) VALUES
+('INR', 'USD', 0.01200000, 'initial_setup'),
+('INR', 'EUR', 0.01100000, 'initial_setup'),
+('INR', 'GBP', 0.00950000, 'initial_setup'),
+('INR', 'AED', 0.04400000, 'initial_setup')
+ON CONFLICT (base_currency, quote_currency) DO NOTHING;
+
 -- Create function to get current gold price
 CREATE OR REPLACE FUNCTION get_current_gold_price(currency_code VARCHAR(3) DEFAULT 'INR')
 RETURNS DECIMAL(10,2) AS $$
@@ -197,8 +573,8 @@ GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO postgres;
 DO $$
 BEGIN
     RAISE NOTICE 'Gold Trading Database initialized successfully!';
-    RAISE NOTICE 'Tables created: users, transactions, sessions, conversations, gold_prices, user_preferences, analytics_events';
+    RAISE NOTICE 'Tables created: users, refresh_tokens, otp_codes, visitors, products, pricing_rules, transactions, payments, sip_plans, sip_runs, sessions, price_quotes, idempotency_keys, conversation_threads, conversations, gold_prices, fx_rates, user_preferences, price_alerts, notifications, analytics_events, admin_audit_log';
     RAISE NOTICE 'Views created: user_analytics, daily_analytics';
-    RAISE NOTICE 'Functions created: update_updated_at_column, clean_expired_sessions, get_current_gold_price';
+    RAISE NOTICE 'Functions created: update_updated_at_column, prevent_audit_log_changes, notify_gold_price_inserted, clean_expired_sessions, get_current_gold_price';
 END $$;
 
@@ -11,14 +11,14 @@ INSERT INTO users (name, email, phone) VALUES
 ON CONFLICT (email) DO NOTHING;
 
 -- Insert sample transactions
-INSERT INTO transactions (user_id, gold_amount, price_per_gram, total_amount, status) VALUES
-(1, 5.0000, 10500.00, 52500.00, 'completed'),
-(1, 2.5000, 10500.00, 26250.00, 'completed'),
-(2, 10.0000, 10500.00, 105000.00, 'completed'),
-(3, 1.0000, 10500.00, 10500.00, 'completed'),
-(3, 7.5000, 10500.00, 78750.00, 'completed'),
-(4, 3.0000, 10500.00, 31500.00, 'completed'),
-(5, 15.0000, 10500.00, 157500.00, 'completed')
+INSERT INTO transactions (user_id, gold_amount, price_per_gram, total_amount, status, product_id) VALUES
+(1, 5.0000, 10500.00, 52500.00, 'completed', 'popular'),
+(1, 2.5000, 10500.00, 26250.00, 'completed', 'custom'),
+(2, 10.0000, 10500.00, 105000.00, 'completed', 'premium'),
+(3, 1.0000, 10500.00, 10500.00, 'completed', 'starter'),
+(3, 7.5000, 10500.00, 78750.00, 'completed', 'custom'),
+(4, 3.0000, 10500.00, 31500.00, 'completed', 'custom'),
+(5, 15.0000, 10500.00, 157500.00, 'completed', 'custom')
 ON CONFLICT DO NOTHING;
 
 -- Insert sample conversations for testing
@@ -51,14 +51,23 @@ INSERT INTO user_preferences (user_id, preferred_currency, investment_amount_pre
 ON CONFLICT (user_id) DO NOTHING;
 
 -- Insert sample analytics events
-INSERT INTO analytics_events (event_type, user_id, metadata) VALUES
-('query', 1, '{"query_type": "price_inquiry", "gold_related": true}'),
-('purchase_intent', 1, '{"interest_level": "high", "preferred_amount": "5g"}'),
-('purchase_completed', 1, '{"amount": "5g", "value": 32500}'),
-('query', 2, '{"query_type": "general", "gold_related": false}'),
-('query', 2, '{"query_type": "investment_benefits", "gold_related": true}'),
-('purchase_intent', 2, '{"interest_level": "medium", "preferred_amount": "10g"}'),
-('purchase_completed', 2, '{"amount": "10g", "value": 105000}')
+INSERT INTO analytics_events (event_type, user_id, metadata, created_at) VALUES
+('chat_started', 1, '{}', NOW() - INTERVAL '2 days 3 hours'),
+('gold_intent', 1, '{"purchase_intent": false, "confidence": 0.95}', NOW() - INTERVAL '2 days 3 hours'),
+('session_issued', 1, '{}', NOW() - INTERVAL '2 days 3 hours'),
+('gold_intent', 1, '{"purchase_intent": true, "confidence": 0.98}', NOW() - INTERVAL '2 days 2 hours'),
+('purchase_initiated', 1, '{"source": "initiate"}', NOW() - INTERVAL '2 days 2 hours'),
+('quote_created', 1, '{"gold_amount": 5, "total_amount": 52500}', NOW() - INTERVAL '2 days 2 hours'),
+('purchase_completed', 1, '{"gold_amount": 5, "total_amount": 52500}', NOW() - INTERVAL '2 days 2 hours'),
+('chat_started', 2, '{}', NOW() - INTERVAL '1 day 5 hours'),
+('gold_intent', 2, '{"purchase_intent": false, "confidence": 0.92}', NOW() - INTERVAL '1 day 5 hours'),
+('session_issued', 2, '{}', NOW() - INTERVAL '1 day 5 hours'),
+('purchase_initiated', 2, '{"source": "initiate"}', NOW() - INTERVAL '1 day 4 hours'),
+('quote_created', 2, '{"gold_amount": 10, "total_amount": 105000}', NOW() - INTERVAL '1 day 4 hours'),
+('purchase_completed', 2, '{"gold_amount": 10, "total_amount": 105000}', NOW() - INTERVAL '1 day 4 hours'),
+('chat_started', 3, '{}', NOW() - INTERVAL '1 day'),
+('gold_intent', 3, '{"purchase_intent": false, "confidence": 0.88}', NOW() - INTERVAL '1 day'),
+('session_issued', 3, '{}', NOW() - INTERVAL '1 day')
 ON CONFLICT DO NOTHING;
 
 -- Update sequences to continue from current max IDs
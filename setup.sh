@@ -102,6 +102,17 @@ setup_environment() {
 install_dependencies() {
     print_header "Installing dependencies..."
     
+    # Install the package shared by both APIs (linked into each as goldapi-shared)
+    if [ -d "shared" ]; then
+        print_status "Installing shared package dependencies..."
+        cd shared
+        npm install
+        cd ..
+    else
+        print_error "shared directory not found"
+        exit 1
+    fi
+    
     # Install API 1 dependencies
     if [ -d "api1-gold-info" ]; then
         print_status "Installing API 1 (Gold Info) dependencies..."
@@ -256,14 +267,14 @@ curl -s "$API2_URL/health" | jq '.' || echo "API 2 health check failed"
 echo "Testing gold-related query..."
 curl -s -X POST "$API1_URL/api/chat" \
   -H "Content-Type: application/json" \
-  -d '{"message": "What is the current gold price?", "user_id": 1}' \
+  -d '{"message": "What is the current gold price?"}' \
   | jq '.' || echo "Gold query test failed"
 
 # Test non-gold query
 echo "Testing non-gold query..."
 curl -s -X POST "$API1_URL/api/chat" \
   -H "Content-Type: application/json" \
-  -d '{"message": "How is the weather?", "user_id": 1}' \
+  -d '{"message": "How is the weather?"}' \
   | jq '.' || echo "Non-gold query test failed"
 
 # Test purchase options
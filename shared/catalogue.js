@@ -0,0 +1,98 @@
+// shared/catalogue.js
+// Product catalogue: the gold packs on sale, from the products table. The
+// purchase API manages it (/api/admin/products) and serves the live list
+// (GET /internal/purchase/options); the gold information API reads the table
+// itself when the purchase API cannot be reached.
+const { calculateCharges } = require('./charges');
+
+// Products on sale now: active and inside their offer window
+const ON_SALE = `p.is_active
+  AND (p.available_from IS NULL OR p.available_from <= NOW())
+  AND (p.available_until IS NULL OR p.available_until > NOW())`;
+  
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+// Public view of a products row. amount is the pack size in grams, 0 for a
+// custom amount product.
+function formatProduct(row) {
+  return {
+    id: row.product_id,
+    amount: row.gold_amount !== null ? parseFloat(row.gold_amount) : 0,
+    unit: 'gram',
+    label: row.label,
+    description: row.description,
+    popular: row.popular,
+    promo_label: row.promo_label,
+    min_amount: parseFloat(row.min_amount),
+    max_amount: parseFloat(row.max_amount),
+    available_until: row.available_until,
+    per_user_limit: toNumber(row.per_user_limit),
+    per_user_limit_days: row.per_user_limit_days
+  };
+}
+
+// Product rows on sale, in display order. includeUnavailable adds inactive
+// products and offers outside their window; `available` tells them apart.
+async function listProducts(db, { includeUnavailable = false } = {}) {
+  const result = await db.query(
+    `SELECT p.*, (${ON_SALE}) AS available
+     FROM products p
+     ${includeUnavailable ? '' : `WHERE ${ON_SALE}`}
+     ORDER BY p.sort_order, p.id`
+  );
+  return result.rows;
+}
+
+// A product row (with `available`), or null
+async function getProduct(db, productId) {
+  const result = await db.query(
+    `SELECT p.*, (${ON_SALE}) AS available FROM products p WHERE p.product_id = $1`,
+    [productId]
+  );
+  return result.rows[0] || null;
+}
+
+// Smallest and largest amount the given products allow (null without products)
+function getPurchaseLimits(products) {
+  if (products.length === 0) return { minimum: null, maximum: null };
+  
+  return {
+    minimum: Math.min(...products.map(product => product.min_amount)),
+    maximum: Math.max(...products.map(product => product.max_amount))
+  };
+}
+
+// Options priced at pricing (goldapi-shared/pricing getPricing()) with the
+// pricing rules: price is the total to pay, itemised in price_breakdown.
+// Custom amount products have neither.
+function priceOptions(options, pricing, rules) {
+  return options.map(option => {
+    const breakdown = option.amount > 0 ? calculateCharges(rules, {
+      productId: option.id,
+      goldAmount: option.amount,
+      pricePerGram: pricing.price_per_gram,
+      fxRate: pricing.fx_rate,
+      currency: pricing.currency
+    }) : null;
+    const price = breakdown ? breakdown.total : null;
+    
+    return {
+      ...option,
+      price: price,
+      price_per_gram: pricing.price_per_gram,
+      currency: pricing.currency,
+      formatted_price: price !== null ? `${pricing.currency} ${price.toLocaleString()}` : 'Custom',
+      price_breakdown: breakdown
+    };
+  });
+}
+
+module.exports = {
+  formatProduct,
+  listProducts,
+  getProduct,
+  getPurchaseLimits,
+  priceOptions
+};
@@ -0,0 +1,106 @@
+// shared/charges.js
+// Pricing engine: the spread, fees and tax on a trade, from the pricing_rules
+// table. A purchase pays for the gold at the market price plus each component;
+// a sale receives it minus them. Components are applied in order (spread, fee,
+// tax), each on the amount so far, so tax is charged on the price including
+// the spread and fee.
+
+const COMPONENTS = ['spread', 'fee', 'tax'];
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Active pricing rules
+async function loadPricingRules(db) {
+  const result = await db.query(
+    'SELECT * FROM pricing_rules WHERE is_active = true ORDER BY id'
+  );
+  return result.rows;
+}
+
+// The rules for a trade: per component, the product's own rules if it has
+// any, otherwise the general ones
+function applicableRules(rules, transactionType, productId = null) {
+  const matching = rules.filter(rule => rule.transaction_type === transactionType);
+  
+  return COMPONENTS.flatMap(component => {
+    const forComponent = matching.filter(rule => rule.component === component);
+    const forProduct = forComponent.filter(rule => productId && rule.product_id === productId);
+    return forProduct.length > 0 ? forProduct : forComponent.filter(rule => rule.product_id === null);
+  });
+}
+
+// The rates that apply to a trade, with flat amounts in the display currency
+function listCharges(rules, { transactionType = 'buy', productId = null, fxRate = 1 } = {}) {
+  return applicableRules(rules, transactionType, productId).map(rule => ({
+    rule_id: rule.rule_id,
+    label: rule.label,
+    component: rule.component,
+    percent: parseFloat(rule.percent),
+    flat_amount: roundMoney(parseFloat(rule.flat_amount) * fxRate)
+  }));
+}
+
+// Itemised price of goldAmount grams at pricePerGram, in currency (flat
+// amounts are converted at fxRate): base is the gold at the market price,
+// then the spread, fee and tax, and the total charged (or paid out for a
+// sale). price_per_gram is the price after the spread.
+function calculateCharges(rules, { transactionType = 'buy', productId = null, goldAmount, pricePerGram, fxRate = 1, currency }) {
+  const sign = transactionType === 'sell' ? -1 : 1;
+  const charges = listCharges(rules, { transactionType, productId, fxRate });
+  const base = roundMoney(goldAmount * pricePerGram);
+  const totals = { spread: 0, fee: 0, tax: 0 };
+  const items = [];
+  let running = base;
+  
+  COMPONENTS.forEach(component => {
+    const basis = running;
+    charges.filter(charge => charge.component === component).forEach(charge => {
+      const amount = roundMoney(basis * charge.percent / 100 + charge.flat_amount);
+      totals[component] = roundMoney(totals[component] + amount);
+      items.push({ ...charge, amount: amount });
+    });
+    running = roundMoney(running + sign * totals[component]);
+  });
+  
+  const spreadPercent = charges
+    .filter(charge => charge.component === 'spread')
+    .reduce((sum, charge) => sum + charge.percent, 0);
+    
+  return {
+    transaction_type: transactionType,
+    currency: currency,
+    gold_amount: goldAmount,
+    market_price_per_gram: pricePerGram,
+    price_per_gram: roundMoney(pricePerGram * (1 + sign * spreadPercent / 100)),
+    base: base,
+    spread: totals.spread,
+    fee: totals.fee,
+    tax: totals.tax,
+    total: running,
+    items: items
+  };
+}
+
+// Most gold (in 0.0001g steps) that an amount of money buys with the charges
+// included, for purchases given as an amount to spend
+function gramsForAmount(rules, { amount, productId = null, pricePerGram, fxRate = 1, currency }) {
+  const trade = { productId: productId, pricePerGram: pricePerGram, fxRate: fxRate, currency: currency };
+  const fixed = calculateCharges(rules, { ...trade, goldAmount: 0 }).total;
+  const perGram = calculateCharges(rules, { ...trade, goldAmount: 1 }).total - fixed;
+  let grams = Math.floor((amount - fixed) / perGram * 10000) / 10000;
+  
+  // Rounding can leave the total a cent or two over
+  while (grams > 0 && calculateCharges(rules, { ...trade, goldAmount: grams }).total > amount) {
+    grams = Math.round((grams - 0.0001) * 10000) / 10000;
+  }
+  return Math.max(grams, 0);
+}
+
+module.exports = {
+  loadPricingRules,
+  listCharges,
+  calculateCharges,
+  gramsForAmount
+};
@@ -0,0 +1,107 @@
+// shared/internal.js
+// Service-to-service calls from the gold information API to the purchase API
+// (API2_URL). Routes under /internal on the purchase API are only for the
+// other service and need the shared INTERNAL_API_TOKEN in X-Internal-Token.
+// Calls made for a chat user also carry the token, with the user's IP in
+// X-Client-IP, so the purchase API rate-limits them per user, not per service.
+const crypto = require('crypto');
+
+// The shared token (INTERNAL_API_TOKEN, required; there is no built-in one)
+function loadInternalToken(env) {
+  if (!env.INTERNAL_API_TOKEN) {
+    throw new Error('INTERNAL_API_TOKEN must be set');
+  }
+  return env.INTERNAL_API_TOKEN;
+}
+
+function purchaseApiUrl(env = process.env) {
+  return env.API2_URL || 'http://localhost:3002';
+}
+
+// Checks for the purchase API: isInternalRequest(req) for a valid
+// X-Internal-Token, getClientIp(req) for the end user's IP on a valid internal
+// request (null otherwise), and requireInternal, the middleware for /internal routes
+function createInternalAuth(env = process.env) {
+  const expected = crypto.createHash('sha256').update(loadInternalToken(env)).digest();
+  
+  const isInternalRequest = (req) => {
+    const token = req.headers['x-internal-token'];
+    if (!token) return false;
+    
+    const actual = crypto.createHash('sha256').update(String(token)).digest();
+    return crypto.timingSafeEqual(actual, expected);
+  };
+  
+  const getClientIp = (req) => {
+    const clientIp = req.headers['x-client-ip'];
+    return clientIp && isInternalRequest(req) ? String(clientIp) : null;
+  };
+  
+  const requireInternal = (req, res, next) => {
+    if (!isInternalRequest(req)) {
+      return res.status(401).json({
+        error: 'Internal token required'
+      });
+    }
+    next();
+  };
+  
+  return { isInternalRequest, getClientIp, requireInternal };
+}
+
+// Client for the purchase API. request() calls public routes (with the user's
+// access token and IP when given) and returns { ok, status, data }; the
+// internal calls throw if the purchase API does not answer with success.
+function createPurchaseApiClient(env = process.env) {
+  const baseUrl = purchaseApiUrl(env);
+  const internalToken = loadInternalToken(env);
+  const timeoutMs = parseInt(env.API2_TIMEOUT_MS) || 5000;
+  
+  async function request(method, path, { accessToken = null, clientIp = null, body = null, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+        ...(clientIp ? { 'X-Internal-Token': internalToken, 'X-Client-IP': clientIp } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Non-JSON error pages are reported by status only
+    }
+    
+    return { ok: response.ok, status: response.status, data: data };
+  }
+  
+  async function requestInternal(path) {
+    const result = await request('GET', path, { headers: { 'X-Internal-Token': internalToken } });
+    if (!result.ok) {
+      throw new Error(`Purchase API ${path} failed with status ${result.status}`);
+    }
+    return result.data;
+  }
+  
+  // Live purchase options priced in currency
+  function getPurchaseOptions(currency) {
+    return requestInternal(`/internal/purchase/options?currency=${encodeURIComponent(currency)}`);
+  }
+  
+  return {
+    baseUrl,
+    request,
+    getPurchaseOptions
+  };
+}
+
+module.exports = {
+  purchaseApiUrl,
+  createInternalAuth,
+  createPurchaseApiClient
+};
@@ -0,0 +1,119 @@
+// shared/pricing.js
+// Gold pricing: the latest gold_prices tick in the base currency (CURRENCY),
+// converted through fx_rates. Without a tick, GOLD_PRICE_PER_GRAM is used.
+// With PRICE_MAX_AGE_SECONDS set, a price older than that (or the fallback) is
+// marked stale, and routes that lock in a price refuse to trade on it.
+
+// Convert a base-currency amount at the given FX rate
+function convertAmount(amount, fxRate) {
+  return Math.round(amount * fxRate * 100) / 100;
+}
+
+// Throw STALE_PRICE when pricing (getPricing()) is too old to trade on
+function assertFreshPrice(pricing) {
+  if (pricing.stale) {
+    const error = new Error('The gold price is out of date. Please try again shortly.');
+    error.code = 'STALE_PRICE';
+    throw error;
+  }
+}
+
+function createPricing(pool, env = process.env) {
+  const baseCurrency = env.CURRENCY || 'INR';
+  const fallbackPrice = parseFloat(env.GOLD_PRICE_PER_GRAM) || 10500;
+  const maxAgeSeconds = parseInt(env.PRICE_MAX_AGE_SECONDS) || 0;
+  
+  // Whether a price published at lastUpdated is past PRICE_MAX_AGE_SECONDS
+  function isStale(lastUpdated) {
+    if (!maxAgeSeconds) return false;
+    if (!lastUpdated) return true;
+    return Date.now() - new Date(lastUpdated).getTime() > maxAgeSeconds * 1000;
+  }
+  
+  // Latest base-currency price per gram, when it was published and whether
+  // it is stale
+  async function getBasePrice() {
+    try {
+      const result = await pool.query(
+        'SELECT price_per_gram, created_at FROM gold_prices WHERE currency = $1 ORDER BY created_at DESC LIMIT 1',
+        [baseCurrency]
+      );
+      
+      if (result.rows.length > 0) {
+        const lastUpdated = result.rows[0].created_at.toISOString();
+        return {
+          price_per_gram: parseFloat(result.rows[0].price_per_gram),
+          last_updated: lastUpdated,
+          stale: isStale(lastUpdated)
+        };
+      }
+    } catch (error) {
+      console.error('Error getting gold price:', error);
+    }
+    
+    return { price_per_gram: fallbackPrice, last_updated: null, stale: isStale(null) };
+  }
+  
+  // FX rate from the base currency into another currency
+  async function getFxRate(currency, db = pool) {
+    if (!currency || currency === baseCurrency) return 1;
+    
+    const result = await db.query(
+      'SELECT rate FROM fx_rates WHERE base_currency = $1 AND quote_currency = $2',
+      [baseCurrency, currency]
+    );
+    
+    if (result.rows.length === 0) {
+      const error = new Error(`Unsupported currency: ${currency}`);
+      error.code = 'UNSUPPORTED_CURRENCY';
+      throw error;
+    }
+    
+    return parseFloat(result.rows[0].rate);
+  }
+  
+  // A user's preferred currency (falls back to the base currency)
+  async function getUserCurrency(userId) {
+    if (!userId) return baseCurrency;
+    
+    try {
+      const result = await pool.query(
+        'SELECT preferred_currency FROM user_preferences WHERE user_id = $1',
+        [userId]
+      );
+      return (result.rows[0] && result.rows[0].preferred_currency) || baseCurrency;
+    } catch (error) {
+      console.error('Error getting user currency:', error);
+      return baseCurrency;
+    }
+  }
+  
+  // The current gold price in a display currency
+  async function getPricing(currency = baseCurrency) {
+    const basePrice = await getBasePrice();
+    const fxRate = await getFxRate(currency);
+    
+    return {
+      currency: currency,
+      fx_rate: fxRate,
+      base_price_per_gram: basePrice.price_per_gram,
+      price_per_gram: convertAmount(basePrice.price_per_gram, fxRate),
+      last_updated: basePrice.last_updated,
+      stale: basePrice.stale
+    };
+  }
+  
+  return {
+    baseCurrency,
+    getBasePrice,
+    getFxRate,
+    getUserCurrency,
+    getPricing
+  };
+}
+
+module.exports = {
+  convertAmount,
+  assertFreshPrice,
+  createPricing
+};
@@ -0,0 +1,295 @@
+// shared/session.js
+// Purchase sessions, shared by both APIs: the gold information API issues a
+// session for each gold-related chat, and the purchase API verifies, refreshes
+// and revokes them. Session tokens are JWTs signed with one of the configured
+// signing keys and name it by key id (`kid` header), so keys can be rotated:
+// add a new key, make it the active one, and drop the old key once the tokens
+// it signed have expired.
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Tokens issued before key ids were introduced have no kid
+const DEFAULT_KEY_ID = 'default';
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// JWT_SECRET, the key for access, refresh and visitor tokens. There is no default in
+// any environment: anyone knowing the key could sign an access token for any
+// user, including an admin.
+function loadJwtSecret(env = process.env) {
+  if (!env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set');
+  }
+  return env.JWT_SECRET;
+}
+
+// Signing keys from SESSION_SIGNING_KEYS ("kid:secret,kid:secret") with
+// SESSION_SIGNING_KEY_ID as the active key (default: the first one). Without
+// it, JWT_SECRET is the single key.
+function loadSigningKeys(env) {
+  const keys = {};
+  
+  (env.SESSION_SIGNING_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error('Invalid SESSION_SIGNING_KEYS entry. Use kid:secret pairs separated by commas');
+    }
+    keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+  });
+  
+  if (Object.keys(keys).length === 0) {
+    keys[DEFAULT_KEY_ID] = loadJwtSecret(env);
+  }
+  
+  const activeKeyId = env.SESSION_SIGNING_KEY_ID || Object.keys(keys)[0];
+  if (!keys[activeKeyId]) {
+    throw new Error(`SESSION_SIGNING_KEY_ID ${activeKeyId} is not one of the SESSION_SIGNING_KEYS`);
+  }
+  
+  return { keys, activeKeyId };
+}
+
+// Session service over the sessions table. Tokens live SESSION_TIMEOUT seconds
+// (default one hour).
+function createSessionService(pool, env = process.env) {
+  const { keys, activeKeyId } = loadSigningKeys(env);
+  const ttlSeconds = parseInt(env.SESSION_TIMEOUT) || 3600;
+  
+  // Decoded payload of a token signed with any configured key; throws if the
+  // signature, key id or expiry is wrong
+  function verifyToken(token) {
+    const decoded = typeof token === 'string' ? jwt.decode(token, { complete: true }) : null;
+    const secret = decoded ? keys[decoded.header.kid || DEFAULT_KEY_ID] : null;
+    if (!secret) throw sessionError('SESSION_INVALID', 'Invalid session token');
+    
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+  }
+  
+  // Sign and store a new session through db (the pool, or a client inside a
+  // transaction)
+  async function issue({ userId = null, visitorId = null, userMessage = null, intentConfirmed = true } = {}, db = pool) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const token = jwt.sign({
+      sessionId: sessionId,
+      userId: userId,
+      visitorId: visitorId,
+      timestamp: Date.now()
+    }, keys[activeKeyId], {
+      expiresIn: ttlSeconds,
+      keyid: activeKeyId
+    });
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    
+    await db.query(
+      `INSERT INTO sessions (session_token, session_id, key_id, user_id, visitor_id, intent_confirmed, expires_at, user_message)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [token, sessionId, activeKeyId, userId, visitorId, intentConfirmed, expiresAt, userMessage]
+    );
+    
+    return { token, sessionId, expiresAt };
+  }
+  
+  // Verify a session token (and that it is not bound to a different user)
+  async function verify(sessionToken, userId = null) {
+    try {
+      const decoded = verifyToken(sessionToken);
+      
+      // Check if session exists in database and is not expired or revoked
+      const result = await pool.query(
+        `SELECT s.*, u.name, u.email, u.phone
+         FROM sessions s
+         LEFT JOIN users u ON s.user_id = u.id
+         WHERE s.session_token = $1 AND s.expires_at > NOW() AND s.is_active = true`,
+        [sessionToken]
+      );
+      
+      if (result.rows.length === 0) {
+        return { valid: false, error: 'Invalid or expired session' };
+      }
+      
+      if (userId && result.rows[0].user_id && result.rows[0].user_id !== userId) {
+        return { valid: false, error: 'Session belongs to another user' };
+      }
+      
+      return {
+        valid: true,
+        session: result.rows[0],
+        decoded: decoded
+      };
+    } catch (error) {
+      return { valid: false, error: 'Invalid session token' };
+    }
+  }
+  
+  // A live session the caller may refresh or revoke: sessions bound to a user
+  // need that user, anonymous ones only the token
+  async function findOwnSession(sessionToken, userId) {
+    const verification = await verify(sessionToken);
+    if (!verification.valid) throw sessionError('SESSION_INVALID', verification.error);
+    
+    const session = verification.session;
+    if (session.user_id && !userId) {
+      throw sessionError('SESSION_AUTH_REQUIRED', 'Access token required for this session');
+    }
+    if (session.user_id && session.user_id !== userId) {
+      throw sessionError('SESSION_FORBIDDEN', 'Session belongs to another user');
+    }
+    
+    return session;
+  }
+  
+  // Revoke a session through db; false if it was no longer active
+  async function deactivate(sessionToken, db = pool) {
+    const result = await db.query(
+      `UPDATE sessions SET is_active = false, revoked_at = NOW()
+       WHERE session_token = $1 AND is_active = true`,
+      [sessionToken]
+    );
+    return result.rowCount > 0;
+  }
+  
+  // Replace a live session with a new one signed by the active key; the old
+  // token stops working
+  async function refresh(sessionToken, userId = null) {
+    const session = await findOwnSession(sessionToken, userId);
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      if (!(await deactivate(sessionToken, client))) {
+        throw sessionError('SESSION_INVALID', 'Invalid or expired session');
+      }
+      
+      const refreshed = await issue({
+        userId: session.user_id || userId,
+        visitorId: session.visitor_id,
+        userMessage: session.user_message,
+        intentConfirmed: session.intent_confirmed
+      }, client);
+      
+      await client.query('COMMIT');
+      return refreshed;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  async function revoke(sessionToken, userId = null) {
+    await findOwnSession(sessionToken, userId);
+    if (!(await deactivate(sessionToken))) {
+      throw sessionError('SESSION_INVALID', 'Invalid or expired session');
+    }
+  }
+  
+  return {
+    activeKeyId,
+    ttlSeconds,
+    issue,
+    verify,
+    refresh,
+    revoke
+  };
+}
+
+// Routes: POST /refresh and POST /revoke with { session_token }. Mount behind
+// optional authentication; req.user owns sessions bound to them.
+function createSessionRouter(sessions) {
+  const router = express.Router();
+  
+  const handle = (action) => async (req, res) => {
+    const { session_token } = req.body;
+    if (!session_token || typeof session_token !== 'string') {
+      return res.status(400).json({
+        error: 'session_token is required'
+      });
+    }
+    
+    try {
+      const result = await action(session_token, req.user ? req.user.id : null);
+      res.json({ success: true, ...result });
+      
+    } catch (error) {
+      if (error.code === 'SESSION_INVALID' || error.code === 'SESSION_AUTH_REQUIRED') {
+        return res.status(401).json({ error: error.message });
+      }
+      if (error.code === 'SESSION_FORBIDDEN') {
+        return res.status(403).json({ error: error.message });
+      }
+      
+      console.error('Session error:', error);
+      res.status(500).json({
+        error: 'Failed to update session'
+      });
+    }
+  };
+  
+  router.post('/refresh', handle(async (sessionToken, userId) => {
+    const refreshed = await sessions.refresh(sessionToken, userId);
+    return {
+      session_token: refreshed.token,
+      expires_at: refreshed.expiresAt.toISOString()
+    };
+  }));
+  
+  router.post('/revoke', handle(async (sessionToken, userId) => {
+    await sessions.revoke(sessionToken, userId);
+    return { revoked: true };
+  }));
+  
+  return router;
+}
+
+// Delete expired sessions every intervalMs with clean_expired_sessions(). Returns
+// { status, stop } like the other background jobs.
+function startSessionCleanup(pool, options = {}) {
+  const intervalMs = options.intervalMs || 900000;
+  const status = {
+    interval_ms: intervalMs,
+    last_run_at: null,
+    last_deleted: 0,
+    last_error: null
+  };
+  let running = false;
+  
+  const run = async () => {
+    if (running) return;
+    running = true;
+    status.last_run_at = new Date().toISOString();
+    try {
+      const result = await pool.query('SELECT clean_expired_sessions() AS deleted');
+      status.last_deleted = result.rows[0].deleted;
+      status.last_error = null;
+    } catch (error) {
+      status.last_error = error.message;
+      console.error('Session cleanup error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  
+  return {
+    status: status,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  loadJwtSecret,
+  loadSigningKeys,
+  createSessionService,
+  createSessionRouter,
+  startSessionCleanup
+};